@@ -1,165 +1,5126 @@
 
 const express = require('express');
-const { Client, GatewayIntentBits, PermissionsBitField } = require('discord.js');
+const { ApplicationCommandOptionType, AuditLogEvent, ChannelType, Client, Collection, GatewayIntentBits, IntentsBitField, MessageFlags, PermissionsBitField } = require('discord.js');
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Load a JSON store from the data directory, falling back to a default
+const loadStore = (name, fallback) => {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(DATA_DIR, `${name}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to load ${name} store:`, error);
+        }
+        return fallback;
+    }
+};
+
+// Persist a JSON store. Writes are queued per store and go through a temp file
+// so a crash mid-write can't truncate the previous copy.
+const storeWrites = new Map(); // name -> pending write promise
+const saveStore = (name, data) => {
+    const file = path.join(DATA_DIR, `${name}.json`);
+    const previous = storeWrites.get(name) || Promise.resolve();
+    
+    const write = previous.then(async () => {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2));
+        await fs.promises.rename(`${file}.tmp`, file);
+    }).catch((error) => {
+        console.error(`Failed to save ${name} store:`, error);
+    });
+    
+    storeWrites.set(name, write);
+    return write;
+};
+
+// Key for encrypting secrets at rest. Set TOKEN_ENCRYPTION_KEY in production;
+// otherwise a random key is generated once and kept in the data directory.
+const loadEncryptionKey = () => {
+    if (process.env.TOKEN_ENCRYPTION_KEY) {
+        return crypto.createHash('sha256').update(process.env.TOKEN_ENCRYPTION_KEY).digest();
+    }
+    
+    const keyFile = path.join(DATA_DIR, 'secret.key');
+    try {
+        return Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'hex');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    
+    console.warn(`TOKEN_ENCRYPTION_KEY is not set, generating a key in ${keyFile}`);
+    const key = crypto.randomBytes(32);
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(keyFile, key.toString('hex'), { mode: 0o600 });
+    return key;
+};
+const ENCRYPTION_KEY = loadEncryptionKey();
+
+// Encrypt a secret with AES-256-GCM, returning "iv:tag:ciphertext" in base64
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+// Decrypt a value produced by encryptSecret
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
 
 // Store active bot clients for proper cleanup
-const activeClients = new Map(); // channelId -> { client, guildId, botToken }
+const activeClients = new Map(); // channelId -> { client, guildId, botToken, config, startedAt }
 
-// Middleware
-app.use(express.json());
+// Shared pool of logged-in clients so requests don't pay for a fresh login each time
+const CLIENT_IDLE_TIMEOUT = parseInt(process.env.CLIENT_IDLE_TIMEOUT, 10) || 5 * 60 * 1000;
+const clientPool = new Map(); // botToken -> { ready, client, intents, refs, idleTimer, retired, previous }
+const pooledClients = new WeakMap(); // client -> pool entry
 
-// Validation middleware for headers
-const validateHeaders = (req, res, next) => {
-    const botToken = req.headers['x-bot-token'];
-    const guildId = req.headers['x-guild-id'];
+// Log in a new client and wait until it is ready
+const loginClient = async (botToken, intents) => {
+    const client = new Client({ intents });
+    const ready = new Promise((resolve) => {
+        client.once('ready', resolve);
+    });
     
-    if (!botToken) {
-        return res.status(400).json({
-            error: 'Missing bot token',
-            detail: 'Please provide x-bot-token header'
+    try {
+        await client.login(botToken);
+        await ready;
+    } catch (error) {
+        await client.destroy();
+        throw error;
+    }
+    
+    return client;
+};
+
+// Destroy a pooled client once nothing is using it anymore
+const destroyPoolEntry = (botToken, entry) => {
+    clearTimeout(entry.idleTimer);
+    entry.destroyed = true;
+    if (clientPool.get(botToken) === entry) {
+        clientPool.delete(botToken);
+    }
+    if (entry.client) {
+        entry.client.destroy().catch((error) => {
+            console.error('Failed to destroy pooled client:', error);
         });
     }
+};
+
+// Start the idle countdown of a pool entry nobody is using
+const armIdleTimer = (botToken, entry) => {
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => {
+        if (entry.refs === 0) {
+            destroyPoolEntry(botToken, entry);
+        }
+    }, CLIENT_IDLE_TIMEOUT);
+};
+
+// Get a ready client for a bot token, logging in only when needed.
+// Intents are fixed at login, so a request needing new intents replaces the
+// pooled client with one that has the union of both sets. The old client is only
+// retired once the new one is ready, and goes back into the pool if that login fails
+// (e.g. a privileged intent the bot hasn't been granted).
+const acquireClient = async (botToken, intents) => {
+    const required = new IntentsBitField(intents);
+    let entry = clientPool.get(botToken);
+    let previous = null;
     
-    if (!guildId) {
-        return res.status(400).json({
-            error: 'Missing guild ID',
-            detail: 'Please provide x-guild-id header'
+    if (entry && !entry.intents.has(required)) {
+        required.add(entry.intents);
+        previous = entry;
+        entry = null;
+    }
+    
+    if (!entry) {
+        entry = {
+            ready: loginClient(botToken, required),
+            client: null,
+            intents: required,
+            refs: 0,
+            idleTimer: null,
+            retired: false,
+            previous: previous
+        };
+        clientPool.set(botToken, entry);
+    }
+    
+    entry.refs++;
+    clearTimeout(entry.idleTimer);
+    
+    try {
+        const client = await entry.ready;
+        entry.client = client;
+        pooledClients.set(client, { botToken, entry });
+        
+        if (entry.previous) {
+            entry.previous.retired = true;
+            if (entry.previous.refs === 0) {
+                destroyPoolEntry(botToken, entry.previous);
+            }
+            entry.previous = null;
+        }
+        
+        // The pool's current client takes over the AI router, so the token keeps one gateway session
+        if (clientPool.get(botToken) === entry) {
+            moveAiRouter(botToken, client, entry.intents);
+        }
+        return client;
+    } catch (error) {
+        entry.refs--;
+        if (clientPool.get(botToken) === entry) {
+            clientPool.delete(botToken);
+            
+            // Fall back to the client this login was meant to replace
+            const fallback = entry.previous;
+            if (fallback && !fallback.destroyed) {
+                clientPool.set(botToken, fallback);
+                if (fallback.refs === 0) {
+                    armIdleTimer(botToken, fallback);
+                }
+                if (fallback.client) {
+                    moveAiRouter(botToken, fallback.client, fallback.intents);
+                }
+            }
+        }
+        entry.previous = null;
+        throw error;
+    }
+};
+
+// Take an extra reference on a pooled client for a long-lived user such as the AI router
+const retainClient = (client) => {
+    const pooled = pooledClients.get(client);
+    if (!pooled) return;
+    
+    pooled.entry.refs++;
+    clearTimeout(pooled.entry.idleTimer);
+};
+
+// Hand a client back to the pool; idle clients are destroyed after CLIENT_IDLE_TIMEOUT
+const releaseClient = (client) => {
+    const pooled = pooledClients.get(client);
+    if (!pooled) return;
+    
+    const { botToken, entry } = pooled;
+    entry.refs = Math.max(0, entry.refs - 1);
+    if (entry.refs > 0) return;
+    
+    if (entry.retired) {
+        destroyPoolEntry(botToken, entry);
+        return;
+    }
+    
+    armIdleTimer(botToken, entry);
+};
+
+// Audit log of every mutating call, appended as JSON lines to the data directory
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const AUDIT_REDACTED_FIELDS = ['confirmationToken'];
+let auditWrite = Promise.resolve();
+
+// Append one entry to the audit file, keeping writes in order
+const writeAuditEntry = (entry) => {
+    auditWrite = auditWrite.then(async () => {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await fs.promises.appendFile(AUDIT_FILE, JSON.stringify(entry) + '\n');
+    }).catch((error) => {
+        console.error('Failed to write audit entry:', error);
+    });
+    return auditWrite;
+};
+
+// Read all audit entries, skipping any line that can't be parsed
+const readAuditEntries = async () => {
+    let content;
+    try {
+        content = await fs.promises.readFile(AUDIT_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    
+    const entries = [];
+    for (const line of content.split('\n')) {
+        if (!line) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            console.error('Skipping malformed audit entry');
+        }
+    }
+    return entries;
+};
+
+// Write the audit entry once the response is sent and, for background jobs, the job is done
+const finishAudit = (audit, fields) => {
+    Object.assign(audit, fields);
+    if (!audit.responded || (audit.jobId && !audit.jobFinished)) return;
+    
+    const { responded, jobFinished, startedAt, ...entry } = audit;
+    writeAuditEntry({
+        ...entry,
+        timestamp: startedAt,
+        durationMs: Date.now() - startedAt.getTime()
+    });
+};
+
+// Reason string for Discord's own audit log, pointing back at our entry
+const auditReason = (audit, action) => {
+    if (!audit) return action;
+    const caller = audit.caller && audit.caller !== 'bot-token' ? `, key ${audit.caller}` : '';
+    return `${action} [audit ${audit.id}${caller}]`.slice(0, 512);
+};
+
+// Middleware that starts an audit entry for every non-GET request
+const auditRequests = (req, res, next) => {
+    if (req.method === 'GET') return next();
+    
+    req.audit = {
+        id: crypto.randomUUID(),
+        startedAt: new Date(),
+        responded: false,
+        jobId: null,
+        jobFinished: false
+    };
+    
+    res.on('finish', () => {
+        const body = { ...(req.body || {}) };
+        for (const field of AUDIT_REDACTED_FIELDS) {
+            if (body[field] !== undefined) body[field] = '[redacted]';
+        }
+        
+        finishAudit(req.audit, {
+            responded: true,
+            guildId: req.guildId || req.headers['x-guild-id'] || null,
+            endpoint: `${req.method} ${req.route ? req.route.path : req.path}`,
+            caller: req.apiKeyId || 'bot-token',
+            body: body,
+            statusCode: res.statusCode
+        });
+    });
+    
+    next();
+};
+
+// Background jobs for bulk operations, so long loops don't outlive the HTTP request
+const JOB_RETENTION = parseInt(process.env.JOB_RETENTION, 10) || 60 * 60 * 1000;
+const jobs = new Map(); // jobId -> job
+
+// Create a tracked job for a bulk operation
+const createJob = (type, { botToken, guildId, audit = null, ...details }) => {
+    const job = {
+        id: crypto.randomUUID(),
+        type: type,
+        guildId: guildId,
+        botToken: botToken,
+        details: details,
+        status: 'pending',
+        total: 0,
+        processed: 0,
+        successCount: 0,
+        skipCount: 0,
+        errorCount: 0,
+        errors: [],
+        outcomes: [],
+        result: null,
+        detail: null,
+        audit: audit,
+        cancelRequested: false,
+        createdAt: new Date(),
+        startedAt: null,
+        finishedAt: null
+    };
+    
+    // The audit entry is written when the job finishes, with per-member outcomes
+    if (audit) {
+        audit.jobId = job.id;
+    }
+    
+    jobs.set(job.id, job);
+    return job;
+};
+
+// Record what happened to one member or user, for the audit log
+const recordOutcome = (job, user, status, error = null) => {
+    job.outcomes.push({
+        userId: user.id,
+        username: user.username,
+        status: status,
+        ...(error && { error: error.message })
+    });
+};
+
+// Run a job's worker in the background and release its client once it is done.
+// Finished jobs stay around for JOB_RETENTION so callers can read the final stats.
+const runJob = (job, client, worker) => {
+    job.status = 'running';
+    job.startedAt = new Date();
+    
+    worker(job)
+        .then(() => {
+            job.status = job.cancelRequested ? 'cancelled' : 'completed';
+        })
+        .catch((error) => {
+            console.error(`Job ${job.id} (${job.type}) failed:`, error);
+            job.status = 'failed';
+            job.detail = `Job failed: ${error.message}`;
+        })
+        .finally(() => {
+            job.finishedAt = new Date();
+            releaseClient(client);
+            if (job.audit) {
+                finishAudit(job.audit, {
+                    jobFinished: true,
+                    jobStatus: job.status,
+                    successCount: job.successCount,
+                    skipCount: job.skipCount,
+                    errorCount: job.errorCount,
+                    outcomes: job.outcomes
+                });
+            }
+            setTimeout(() => jobs.delete(job.id), JOB_RETENTION);
+        });
+};
+
+// Snapshots of what each bulk operation changed, so it can be undone later
+const operationStore = loadStore('operations', {});
+// operationId (the job ID) -> { type, botId, guildId, roleId, roleName, changes, createdAt, undoneAt }
+
+// Save the changes a job made under its job ID; jobs that changed nothing save nothing
+const saveOperation = async (job, botId, changes, details = {}) => {
+    if (changes.length === 0) return;
+    
+    operationStore[job.id] = {
+        type: job.type,
+        botId: botId,
+        guildId: job.guildId,
+        ...details,
+        changes: changes,
+        createdAt: new Date(),
+        undoneAt: null
+    };
+    job.result = { ...job.result, operationId: job.id };
+    
+    await saveStore('operations', operationStore);
+};
+
+// Public view of a job (never exposes the bot token)
+const serializeJob = (job) => {
+    const finished = job.finishedAt !== null;
+    let percentage = 0;
+    if (job.total > 0) {
+        percentage = Math.round((job.processed / job.total) * 100);
+    } else if (finished) {
+        percentage = 100;
+    }
+    
+    return {
+        jobId: job.id,
+        type: job.type,
+        guildId: job.guildId,
+        ...job.details,
+        status: job.status,
+        percentage: percentage,
+        total: job.total,
+        processed: job.processed,
+        successCount: job.successCount,
+        skipCount: job.skipCount,
+        errorCount: job.errorCount,
+        errors: job.errors,
+        ...job.result,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        detail: job.detail || `Job is ${job.status}: processed ${job.processed} of ${job.total} items (${percentage}%).`
+    };
+};
+
+// Member filters for the bulk role routes
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEMBER_TYPES = ['all', 'humans', 'bots'];
+
+// Validate a request-body filter, returning { filter } or { error }
+const parseMemberFilter = (raw) => {
+    if (raw === undefined || raw === null) {
+        return { filter: null };
+    }
+    
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { error: 'filter must be an object' };
+    }
+    
+    const filter = {
+        memberType: raw.memberType || 'all',
+        hasRoleId: raw.hasRoleId || null,
+        lacksRoleId: raw.lacksRoleId || null,
+        joinedBefore: null,
+        joinedAfter: null,
+        minAccountAgeDays: null,
+        maxAccountAgeDays: null,
+        userIds: null
+    };
+    
+    if (!MEMBER_TYPES.includes(filter.memberType)) {
+        return { error: `memberType must be one of: ${MEMBER_TYPES.join(', ')}` };
+    }
+    
+    for (const key of ['joinedBefore', 'joinedAfter']) {
+        if (raw[key] === undefined) continue;
+        const date = new Date(raw[key]);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${key} must be a valid date` };
+        }
+        filter[key] = date;
+    }
+    
+    // Shorthand for raid cleanup: joined within the last N minutes
+    if (raw.joinedWithinMinutes !== undefined) {
+        const minutes = Number(raw.joinedWithinMinutes);
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            return { error: 'joinedWithinMinutes must be a positive number' };
+        }
+        const since = new Date(Date.now() - minutes * 60 * 1000);
+        if (!filter.joinedAfter || since > filter.joinedAfter) {
+            filter.joinedAfter = since;
+        }
+    }
+    
+    for (const key of ['minAccountAgeDays', 'maxAccountAgeDays']) {
+        if (raw[key] === undefined) continue;
+        const days = Number(raw[key]);
+        if (!Number.isFinite(days) || days < 0) {
+            return { error: `${key} must be a non-negative number` };
+        }
+        filter[key] = days;
+    }
+    
+    if (raw.userIds !== undefined) {
+        if (!Array.isArray(raw.userIds) || raw.userIds.some(id => typeof id !== 'string' || !id)) {
+            return { error: 'userIds must be an array of user ID strings' };
+        }
+        filter.userIds = [...new Set(raw.userIds)];
+    }
+    
+    return { filter };
+};
+
+// Check a guild member against a parsed filter
+const memberMatchesFilter = (member, filter, now = Date.now()) => {
+    if (!filter) return true;
+    
+    if (filter.memberType === 'humans' && member.user.bot) return false;
+    if (filter.memberType === 'bots' && !member.user.bot) return false;
+    if (filter.hasRoleId && !member.roles.cache.has(filter.hasRoleId)) return false;
+    if (filter.lacksRoleId && member.roles.cache.has(filter.lacksRoleId)) return false;
+    if (filter.userIds && !filter.userIds.includes(member.id)) return false;
+    
+    if (filter.joinedBefore || filter.joinedAfter) {
+        // joinedAt can be missing for partial members
+        if (!member.joinedAt) return false;
+        if (filter.joinedBefore && member.joinedAt >= filter.joinedBefore) return false;
+        if (filter.joinedAfter && member.joinedAt <= filter.joinedAfter) return false;
+    }
+    
+    const accountAgeDays = (now - member.user.createdTimestamp) / DAY_MS;
+    if (filter.minAccountAgeDays !== null && accountAgeDays < filter.minAccountAgeDays) return false;
+    if (filter.maxAccountAgeDays !== null && accountAgeDays > filter.maxAccountAgeDays) return false;
+    
+    return true;
+};
+
+// Discord accepts at most 100 user IDs per member request, and discord.js doesn't split them
+const MEMBER_FETCH_CHUNK = 100;
+
+// Fetch the members a filter could match, only asking Discord for listed IDs when given
+const fetchFilteredMembers = async (guild, filter) => {
+    let members;
+    if (filter && filter.userIds) {
+        members = new Collection();
+        for (let start = 0; start < filter.userIds.length; start += MEMBER_FETCH_CHUNK) {
+            const chunk = await guild.members.fetch({ user: filter.userIds.slice(start, start + MEMBER_FETCH_CHUNK) });
+            chunk.forEach((member, memberId) => members.set(memberId, member));
+        }
+    } else {
+        members = await guild.members.fetch();
+    }
+    
+    const now = Date.now();
+    return {
+        members: members,
+        matched: members.filter(member => memberMatchesFilter(member, filter, now))
+    };
+};
+
+// Ban helpers
+const BAN_PAGE_SIZE = 1000;
+const BAN_AUDIT_LOG_PAGES = 5;
+
+// Fetch every ban, paging past Discord's 1000-per-request limit
+const fetchAllBans = async (guild) => {
+    const bans = new Collection();
+    let after;
+    
+    while (true) {
+        const page = await guild.bans.fetch({ limit: BAN_PAGE_SIZE, after, cache: false });
+        page.forEach((ban, userId) => bans.set(userId, ban));
+        if (page.size < BAN_PAGE_SIZE) return bans;
+        after = page.lastKey();
+    }
+};
+
+// Look up when users were banned from the guild audit log. Discord only keeps
+// audit entries for 45 days, so older bans have no timestamp. `complete` tells whether
+// the whole log was read; if not, a missing timestamp may just be past the pages scanned.
+const fetchBanTimestamps = async (guild, userIds) => {
+    const wanted = new Set(userIds);
+    const timestamps = new Map(); // userId -> Date
+    let complete = false;
+    let before;
+    
+    for (let page = 0; page < BAN_AUDIT_LOG_PAGES && wanted.size > 0; page++) {
+        const logs = await guild.fetchAuditLogs({ type: AuditLogEvent.MemberBanAdd, limit: 100, before });
+        
+        // Entries are newest first, so the first match is the current ban
+        for (const entry of logs.entries.values()) {
+            if (wanted.has(entry.targetId)) {
+                timestamps.set(entry.targetId, entry.createdAt);
+                wanted.delete(entry.targetId);
+            }
+        }
+        
+        if (logs.entries.size < 100) {
+            complete = true;
+            break;
+        }
+        before = logs.entries.lastKey();
+    }
+    
+    return { timestamps, complete };
+};
+
+// IDs that selective unbans never touch, on top of any excludeUserIds in the request
+const PROTECTED_USER_IDS = (process.env.PROTECTED_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// Why a user-supplied regular expression could backtrack catastrophically, or null.
+// This is deliberately strict, since one slow pattern stalls the whole server:
+// - a repeated group may not itself contain a quantifier or an alternation ((a+)+, (a|a)*)
+// - only one quantifier may be unbounded (*, + or {n,}), as chains like a*a*a*b explode
+// - bounded quantifiers may only add up to a handful of ways to match (UNSAFE_REGEX_CHOICES)
+// - backreferences are out
+const UNSAFE_REGEX_CHOICES = 8;
+const findUnsafeRegex = (pattern) => {
+    if (/\\(?:[1-9]|k<)/.test(pattern)) {
+        return 'backreferences are not allowed';
+    }
+    
+    // The quantifier starting at index as { length, min, max }, or null
+    const readQuantifier = (index) => {
+        const char = pattern[index];
+        if (char === '*') return { length: 1, min: 0, max: Infinity };
+        if (char === '+') return { length: 1, min: 1, max: Infinity };
+        if (char === '?') return { length: 1, min: 0, max: 1 };
+        const braces = pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+        if (!braces) return null;
+        const min = Number(braces[1]);
+        const max = braces[2] === undefined ? min : braces[3] === '' ? Infinity : Number(braces[3]);
+        return { length: braces[0].length, min, max };
+    };
+    
+    // One entry per open group: whether it contains a quantifier or alternation
+    const groups = [];
+    let unbounded = 0;
+    let choices = 1;
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === '\\') {
+            index++;
+        } else if (char === '[') {
+            // Skip the character class, which repeats nothing by itself
+            for (index++; index < pattern.length && pattern[index] !== ']'; index++) {
+                if (pattern[index] === '\\') index++;
+            }
+        } else if (char === '(') {
+            groups.push(false);
+            if (pattern[index + 1] === '?') index++;
+        } else if (char === '|') {
+            if (groups.length > 0) groups[groups.length - 1] = true;
+        } else if (char === ')') {
+            const risky = groups.pop();
+            const repeated = readQuantifier(index + 1) !== null;
+            if (risky && repeated) {
+                return 'repeated groups may not contain quantifiers or alternations, e.g. (a+)+ or (a|b)*';
+            }
+            if (risky && groups.length > 0) groups[groups.length - 1] = true;
+        } else {
+            const quantifier = readQuantifier(index);
+            if (!quantifier) continue;
+            
+            if (groups.length > 0) groups[groups.length - 1] = true;
+            if (quantifier.max === Infinity) {
+                unbounded++;
+                if (unbounded > 1) return 'only one unbounded quantifier (*, + or {n,}) is allowed';
+            } else {
+                choices *= quantifier.max - quantifier.min + 1;
+                if (choices > UNSAFE_REGEX_CHOICES) return 'the bounded quantifiers (?, {n,m}) allow too many ways to match';
+            }
+            
+            // Skip the rest of the quantifier, and the ? that makes it lazy
+            index += quantifier.length - 1;
+            if (pattern[index + 1] === '?') index++;
+        }
+    }
+    return null;
+};
+
+// Validate the selective unban options in a request body, returning { filter } or { error }
+const parseBanFilter = (body) => {
+    const { reasonPattern, olderThanDays, userIds, excludeUserIds = [] } = body;
+    const filter = {
+        reasonPattern: null,
+        olderThanDays: null,
+        userIds: null,
+        excludeUserIds: [...new Set([...PROTECTED_USER_IDS, ...(Array.isArray(excludeUserIds) ? excludeUserIds : [])])]
+    };
+    
+    if (reasonPattern !== undefined) {
+        if (typeof reasonPattern !== 'string' || !reasonPattern || reasonPattern.length > 200) {
+            return { error: 'reasonPattern must be a non-empty string of at most 200 characters' };
+        }
+        try {
+            new RegExp(reasonPattern, 'i');
+        } catch (error) {
+            return { error: `reasonPattern is not a valid regular expression: ${error.message}` };
+        }
+        const unsafe = findUnsafeRegex(reasonPattern);
+        if (unsafe) {
+            return { error: `reasonPattern is too complex: ${unsafe}` };
+        }
+        filter.reasonPattern = reasonPattern;
+    }
+    
+    if (olderThanDays !== undefined) {
+        const days = Number(olderThanDays);
+        if (!Number.isFinite(days) || days < 0) {
+            return { error: 'olderThanDays must be a non-negative number' };
+        }
+        filter.olderThanDays = days;
+    }
+    
+    for (const [key, ids] of [['userIds', userIds], ['excludeUserIds', excludeUserIds]]) {
+        if (ids === undefined) continue;
+        if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' || !id)) {
+            return { error: `${key} must be an array of user ID strings` };
+        }
+    }
+    if (userIds !== undefined) {
+        filter.userIds = [...new Set(userIds)];
+    }
+    
+    return { filter };
+};
+
+// Narrow a ban collection down to the ones a filter selects. Returns { matched, unknownAgeCount }.
+const filterBans = async (guild, bans, filter) => {
+    const reasonRegex = filter.reasonPattern ? new RegExp(filter.reasonPattern, 'i') : null;
+    
+    let matched = bans.filter((ban, userId) => {
+        if (filter.excludeUserIds.includes(userId)) return false;
+        if (filter.userIds && !filter.userIds.includes(userId)) return false;
+        if (reasonRegex && !reasonRegex.test(ban.reason || '')) return false;
+        return true;
+    });
+    
+    let unknownAgeCount = 0;
+    if (filter.olderThanDays !== null && matched.size > 0) {
+        // A ban missing from a fully read audit log predates it, so it is old. If the scan
+        // stopped at BAN_AUDIT_LOG_PAGES (a busy raid), a missing ban may be recent, so it is
+        // left alone and only counted.
+        const { timestamps, complete } = await fetchBanTimestamps(guild, [...matched.keys()]);
+        const cutoff = Date.now() - filter.olderThanDays * DAY_MS;
+        matched = matched.filter((ban, userId) => {
+            const bannedAt = timestamps.get(userId);
+            if (bannedAt) return bannedAt.getTime() <= cutoff;
+            if (!complete) unknownAgeCount++;
+            return complete;
+        });
+    }
+    
+    return { matched, unknownAgeCount };
+};
+
+// Quote a value for CSV output
+const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Mass ban / mass kick settings
+const MASS_ACTION_CAP = parseInt(process.env.MASS_ACTION_CAP, 10) || 50;
+const MAX_DELETE_MESSAGE_SECONDS = 7 * 24 * 60 * 60;
+const MASS_ACTIONS = {
+    massban: {
+        verb: 'ban',
+        pastTense: 'Banned',
+        permission: PermissionsBitField.Flags.BanMembers,
+        permissionName: 'BAN_MEMBERS',
+        defaultReason: 'Mass ban via API',
+        // Bans work by ID, so users who already left can still be banned
+        allowNonMembers: true
+    },
+    masskick: {
+        verb: 'kick',
+        pastTense: 'Kicked',
+        permission: PermissionsBitField.Flags.KickMembers,
+        permissionName: 'KICK_MEMBERS',
+        defaultReason: 'Mass kick via API',
+        allowNonMembers: false
+    }
+};
+
+// Resolve mass action targets and split out the ones the bot must not or cannot touch
+const resolveMassActionTargets = async (guild, botMember, filter, action, idListOnly) => {
+    const settings = MASS_ACTIONS[action];
+    const { matched } = await fetchFilteredMembers(guild, filter);
+    const targets = [];
+    const protectedTargets = [];
+    
+    for (const [memberId, member] of matched) {
+        let blockedBy = null;
+        if (member.id === botMember.id) {
+            blockedBy = 'is the bot itself';
+        } else if (member.id === guild.ownerId) {
+            blockedBy = 'is the server owner';
+        } else if (member.roles.highest.position >= botMember.roles.highest.position) {
+            blockedBy = 'has a role at or above the bot\'s highest role';
+        }
+        
+        if (blockedBy) {
+            protectedTargets.push({ ...describeMember(member), blockedBy });
+        } else {
+            targets.push({ id: member.id, user: member.user, member: member });
+        }
+    }
+    
+    // With a plain ID list, users who aren't in the server can still be banned by ID
+    if (settings.allowNonMembers && idListOnly) {
+        for (const userId of filter.userIds) {
+            if (matched.has(userId) || userId === botMember.id || userId === guild.ownerId) continue;
+            targets.push({ id: userId, user: { id: userId, username: userId, tag: userId, bot: false }, member: null });
+        }
+    }
+    
+    return { targets, protectedTargets };
+};
+
+// Confirmation tokens issued by dry runs, so a destructive call can prove it was previewed first
+const CONFIRMATION_TTL = parseInt(process.env.CONFIRMATION_TTL, 10) || 5 * 60 * 1000;
+const REQUIRE_CONFIRMATION = process.env.REQUIRE_CONFIRMATION === 'true';
+const confirmationTokens = new Map(); // token -> { endpoint, botToken, guildId, params, expiresAt }
+
+// Parameters a token is tied to for routes that take a member filter. The filter is kept
+// as sent, since parsing turns joinedWithinMinutes into a date that moves on every call.
+const filterConfirmationParams = (rawFilter, params) => ({ ...params, filter: rawFilter === undefined ? null : rawFilter });
+
+// Issue a short-lived token tied to the endpoint, bot, guild and request parameters
+const issueConfirmationToken = (endpoint, { botToken, guildId }, params) => {
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + CONFIRMATION_TTL);
+    
+    confirmationTokens.set(token, {
+        endpoint: endpoint,
+        botToken: botToken,
+        guildId: guildId,
+        params: JSON.stringify(params),
+        expiresAt: expiresAt
+    });
+    setTimeout(() => confirmationTokens.delete(token), CONFIRMATION_TTL);
+    
+    return { confirmationToken: token, confirmationExpiresAt: expiresAt };
+};
+
+// Check and consume a confirmation token, returning an error message or null.
+// Tokens are optional unless REQUIRE_CONFIRMATION is set. Routes call this only once
+// every other check has passed, so a request that fails anyway doesn't spend the token.
+const consumeConfirmationToken = (token, endpoint, { botToken, guildId }, params) => {
+    if (!token) {
+        return REQUIRE_CONFIRMATION
+            ? `Run ${endpoint} with dryRun first and pass the returned confirmationToken`
+            : null;
+    }
+    
+    const issued = confirmationTokens.get(token);
+    confirmationTokens.delete(token);
+    
+    if (!issued || issued.expiresAt < new Date()) {
+        return 'Confirmation token is invalid or has expired';
+    }
+    
+    if (issued.endpoint !== endpoint || issued.botToken !== botToken || issued.guildId !== guildId
+        || issued.params !== JSON.stringify(params)) {
+        return 'Confirmation token does not match this request';
+    }
+    
+    return null;
+};
+
+// Summary of a member for previews and results
+const describeMember = (member) => ({
+    id: member.id,
+    username: member.user.username,
+    tag: member.user.tag,
+    bot: member.user.bot
+});
+
+// API keys: bot tokens are registered once and stored encrypted, callers use scoped keys instead
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const apiKeyStore = loadStore('apikeys', { bots: {}, keys: {} });
+// bots: botId -> { token (encrypted), username, registeredAt }
+// keys: keyId -> { hash, botId, guildIds, endpoints, label, createdAt }
+
+// Hash the secret part of an API key; only hashes are stored
+const hashApiKey = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Keys look like "bdfd_<keyId>_<secret>"
+const parseApiKey = (apiKey) => {
+    const match = /^bdfd_([a-f0-9]{16})_([a-f0-9]{48})$/.exec(apiKey);
+    return match ? { keyId: match[1], secret: match[2] } : null;
+};
+
+// Look up the stored key record for a raw API key, or null if it is unknown
+const findApiKey = (apiKey) => {
+    const parsed = parseApiKey(apiKey);
+    if (!parsed) return null;
+    
+    const record = apiKeyStore.keys[parsed.keyId];
+    if (!record) return null;
+    
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(hashApiKey(parsed.secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+    
+    return { keyId: parsed.keyId, ...record };
+};
+
+// Scopes are a route ("POST /unbanall"), a path for any method ("/banlist"),
+// "read" for every GET route, or "*" for everything
+const apiKeyAllowsEndpoint = (record, req) => {
+    const route = req.route ? req.route.path : req.path;
+    return record.endpoints.some(scope => scope === '*'
+        || (scope === 'read' && req.method === 'GET')
+        || scope === route
+        || scope === `${req.method} ${route}`);
+};
+
+// Middleware
+app.use(express.json());
+app.use(auditRequests);
+
+// Validation middleware for headers. Accepts either an x-api-key issued by
+// POST /apikeys or, unless REQUIRE_API_KEY is set, a raw x-bot-token.
+const validateHeaders = (req, res, next) => {
+    const apiKey = req.headers['x-api-key'];
+    const guildId = req.headers['x-guild-id'];
+    let botToken = req.headers['x-bot-token'];
+    
+    if (!guildId) {
+        return res.status(400).json({
+            error: 'Missing guild ID',
+            detail: 'Please provide x-guild-id header'
+        });
+    }
+    
+    if (apiKey) {
+        const record = findApiKey(apiKey);
+        const bot = record && apiKeyStore.bots[record.botId];
+        if (!bot) {
+            return res.status(401).json({
+                error: 'Invalid API key',
+                detail: 'The provided x-api-key is unknown or has been revoked'
+            });
+        }
+        
+        if (!record.guildIds.includes(guildId)) {
+            return res.status(403).json({
+                error: 'Guild not allowed',
+                detail: `This API key is not authorized for guild ${guildId}`
+            });
+        }
+        
+        if (!apiKeyAllowsEndpoint(record, req)) {
+            return res.status(403).json({
+                error: 'Endpoint not allowed',
+                detail: `This API key is not authorized for ${req.method} ${req.route ? req.route.path : req.path}`
+            });
+        }
+        
+        botToken = decryptSecret(bot.token);
+        req.apiKeyId = record.keyId;
+    } else if (REQUIRE_API_KEY) {
+        return res.status(401).json({
+            error: 'Missing API key',
+            detail: 'Please provide x-api-key header'
+        });
+    } else if (!botToken) {
+        return res.status(400).json({
+            error: 'Missing bot token',
+            detail: 'Please provide x-api-key or x-bot-token header'
+        });
+    }
+    
+    req.botToken = botToken;
+    req.guildId = guildId;
+    next();
+};
+
+// Validation middleware for key management - only the bot token itself may manage its keys
+const validateBotToken = (req, res, next) => {
+    const botToken = req.headers['x-bot-token'];
+    
+    if (!botToken) {
+        return res.status(400).json({
+            error: 'Missing bot token',
+            detail: 'Please provide x-bot-token header'
+        });
+    }
+    
+    req.botToken = botToken;
+    next();
+};
+
+// Health check endpoint
+app.get('/', (req, res) => {
+    res.json({ 
+        status: 'Discord Bot API Server is running',
+        endpoints: [
+            'POST /addroleall - Add role to all (or filtered) guild members (background job, supports dryRun)',
+            'POST /roleremoveall - Remove role from all (or filtered) guild members (background job, supports dryRun)',
+            'POST /roles/snapshots - Save a named snapshot of every member\'s roles',
+            'GET /roles/snapshots - List role snapshots',
+            'GET /roles/snapshots/:name/diff - Compare current roles with a snapshot',
+            'POST /roles/snapshots/:name/restore - Restore roles from a snapshot, optionally removing extra ones (background job, supports dryRun)',
+            'DELETE /roles/snapshots/:name - Delete a role snapshot',
+            'POST /unbanall - Unban all or selected users (by reason, age or ID list) from the server (background job, supports dryRun)',
+            'GET /banlist - Get banned users with pagination, search and CSV export',
+            'GET /guild/membercount - Get member count statistics for the server',
+            'GET /guild/stats - Get presence, role, join-growth, boost and channel statistics (mode=approximate skips the member fetch)',
+            'POST /massban - Ban listed or filtered users, capped unless overridden (background job, supports dryRun)',
+            'POST /masskick - Kick listed or filtered members, capped unless overridden (background job, supports dryRun)',
+            'POST /set-ai - Generate AI text using Pollinations or another configured provider (returnJson gives back parsed JSON instead of posting)',
+            'POST /reset-ai - Reset AI conversational bot for a channel, or only wipe its memory with memoryOnly',
+            'GET /ai/models - List configured AI providers and their models',
+            'GET /ai/usage - Show AI request counts and quotas per channel',
+            'GET /ai/memory/:channelId - Show the AI bot\'s stored memory of a channel',
+            'DELETE /ai/memory/:channelId - Clear the AI bot\'s stored memory of a channel',
+            'POST /ai/schedules - Schedule a recurring AI post in a channel with a cron expression',
+            'GET /ai/schedules - List scheduled AI posts',
+            'POST /ai/schedules/:scheduleId/pause - Pause a scheduled AI post',
+            'POST /ai/schedules/:scheduleId/resume - Resume a paused scheduled AI post',
+            'DELETE /ai/schedules/:scheduleId - Delete a scheduled AI post',
+            'GET /ai/sessions - List AI conversation channels and their status',
+            'PATCH /ai/sessions/:channelId - Change persona, prompt, history and trigger settings of an active AI channel',
+            'GET /jobs - List background jobs for the server',
+            'GET /jobs/:jobId - Get status and progress of a background job',
+            'POST /jobs/:jobId/cancel - Cancel a running background job',
+            'POST /apikeys - Register a bot token and issue a scoped API key',
+            'GET /apikeys - List API keys issued for a bot token',
+            'DELETE /apikeys/:keyId - Revoke an API key',
+            'POST /undo/:operationId - Undo a bulk role change or mass unban (background job)',
+            'GET /auditlog - Query the audit log of mutating API calls for the server'
+        ]
+    });
+});
+
+// Add role to all members endpoint
+app.post('/addroleall', validateHeaders, async (req, res) => {
+    try {
+        const { roleId, filter: rawFilter, dryRun = false, confirmationToken } = req.body || {};
+        const { botToken, guildId } = req;
+        
+        if (!roleId) {
+            return res.status(400).json({
+                error: 'Missing roleId in request body',
+                detail: 'Please provide a roleId to add to all users'
+            });
+        }
+        
+        const { filter, error: filterError } = parseMemberFilter(rawFilter);
+        if (filterError) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                detail: filterError
+            });
+        }
+        
+        const confirmationParams = filterConfirmationParams(rawFilter, { roleId });
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMembers
+        ]);
+        let keepClient = false;
+        
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            // Check bot permissions
+            const botMember = await guild.members.fetch(client.user.id);
+            if (!botMember.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: 'Bot lacks MANAGE_ROLES permission'
+                });
+            }
+            
+            // Get the role
+            const role = await guild.roles.fetch(roleId);
+            if (!role) {
+                return res.status(404).json({
+                    error: 'Role not found',
+                    detail: `Role with ID ${roleId} not found in the guild`
+                });
+            }
+            
+            // Check if bot can manage this role
+            if (role.position >= botMember.roles.highest.position) {
+                return res.status(403).json({
+                    error: 'Cannot manage role',
+                    detail: 'Bot role position is not high enough to manage this role'
+                });
+            }
+            
+            // Dry run - report what would change without touching any member
+            if (dryRun) {
+                const { members, matched } = await fetchFilteredMembers(guild, filter);
+                const wouldChange = [];
+                let skipCount = 0;
+                
+                for (const [memberId, member] of matched) {
+                    if (member.roles.cache.has(roleId)) {
+                        skipCount++;
+                        continue;
+                    }
+                    wouldChange.push(describeMember(member));
+                }
+                
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    roleId: roleId,
+                    roleName: role.name,
+                    totalMembers: members.size,
+                    matchedCount: matched.size,
+                    changeCount: wouldChange.length,
+                    skipCount: skipCount,
+                    members: wouldChange,
+                    ...issueConfirmationToken('addroleall', req, confirmationParams),
+                    detail: `Dry run: role "${role.name}" would be added to ${wouldChange.length} of ${matched.size} matching users. Skipped ${skipCount} users (already had role). No changes were made.`
+                });
+            }
+            
+            const confirmationError = consumeConfirmationToken(confirmationToken, 'addroleall', req, confirmationParams);
+            if (confirmationError) {
+                return res.status(403).json({
+                    error: 'Confirmation required',
+                    detail: confirmationError
+                });
+            }
+            
+            // Run the bulk update in the background and hand back a job ID right away
+            const job = createJob('addroleall', { botToken, guildId, audit: req.audit, roleId, roleName: role.name, filter });
+            
+            runJob(job, client, async () => {
+                // Fetch all members and keep the ones matching the filter
+                const { members, matched } = await fetchFilteredMembers(guild, filter);
+                job.total = matched.size;
+                job.result = {
+                    totalMembers: members.size,
+                    matchedCount: matched.size
+                };
+                
+                const changes = [];
+                
+                for (const [memberId, member] of matched) {
+                    if (job.cancelRequested) break;
+                    
+                    try {
+                        // Check if member already has the role
+                        if (member.roles.cache.has(roleId)) {
+                            job.skipCount++;
+                            recordOutcome(job, member.user, 'skipped');
+                            continue;
+                        }
+                        
+                        // Add role to member (including bots)
+                        await member.roles.add(role, auditReason(job.audit, 'Bulk role add via API'));
+                        job.successCount++;
+                        recordOutcome(job, member.user, 'success');
+                        changes.push({ userId: member.id, username: member.user.username });
+                        
+                        // Add small delay to avoid rate limits
+                        await new Promise(resolve => setTimeout(resolve, 100));
+                        
+                    } catch (error) {
+                        job.errorCount++;
+                        job.errors.push(`Failed to add role to ${member.user.username}: ${error.message}`);
+                        recordOutcome(job, member.user, 'error', error);
+                    } finally {
+                        job.processed++;
+                    }
+                }
+                
+                // Keep a snapshot of who changed so the operation can be undone
+                await saveOperation(job, client.user.id, changes, { roleId, roleName: role.name });
+                
+                job.detail = `Added role "${role.name}" to ${job.successCount} of ${matched.size} matching users. Skipped ${job.skipCount} users (already had role). ${job.errorCount} errors occurred.`;
+            });
+            keepClient = true;
+            
+            res.json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                roleId: roleId,
+                roleName: role.name,
+                detail: `Started adding role "${role.name}" to ${filter ? 'filtered' : 'all'} members. Check GET /jobs/${job.id} for progress.`
+            });
+        } finally {
+            if (!keepClient) {
+                releaseClient(client);
+            }
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Remove role from all members endpoint
+app.post('/roleremoveall', validateHeaders, async (req, res) => {
+    try {
+        const { roleId, filter: rawFilter, dryRun = false, confirmationToken } = req.body || {};
+        const { botToken, guildId } = req;
+        
+        if (!roleId) {
+            return res.status(400).json({
+                error: 'Missing roleId in request body',
+                detail: 'Please provide a roleId to remove from all users'
+            });
+        }
+        
+        const { filter, error: filterError } = parseMemberFilter(rawFilter);
+        if (filterError) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                detail: filterError
+            });
+        }
+        
+        const confirmationParams = filterConfirmationParams(rawFilter, { roleId });
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMembers
+        ]);
+        let keepClient = false;
+        
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            // Check bot permissions
+            const botMember = await guild.members.fetch(client.user.id);
+            if (!botMember.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: 'Bot lacks MANAGE_ROLES permission'
+                });
+            }
+            
+            // Get the role
+            const role = await guild.roles.fetch(roleId);
+            if (!role) {
+                return res.status(404).json({
+                    error: 'Role not found',
+                    detail: `Role with ID ${roleId} not found in the guild`
+                });
+            }
+            
+            // Check if bot can manage this role
+            if (role.position >= botMember.roles.highest.position) {
+                return res.status(403).json({
+                    error: 'Cannot manage role',
+                    detail: 'Bot role position is not high enough to manage this role'
+                });
+            }
+            
+            // Dry run - report what would change without touching any member
+            if (dryRun) {
+                const { members, matched } = await fetchFilteredMembers(guild, filter);
+                const wouldChange = [];
+                let skipCount = 0;
+                
+                for (const [memberId, member] of matched) {
+                    if (!member.roles.cache.has(roleId)) {
+                        skipCount++;
+                        continue;
+                    }
+                    wouldChange.push(describeMember(member));
+                }
+                
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    roleId: roleId,
+                    roleName: role.name,
+                    totalMembers: members.size,
+                    matchedCount: matched.size,
+                    changeCount: wouldChange.length,
+                    skipCount: skipCount,
+                    members: wouldChange,
+                    ...issueConfirmationToken('roleremoveall', req, confirmationParams),
+                    detail: `Dry run: role "${role.name}" would be removed from ${wouldChange.length} of ${matched.size} matching users. Skipped ${skipCount} users (didn't have role). No changes were made.`
+                });
+            }
+            
+            const confirmationError = consumeConfirmationToken(confirmationToken, 'roleremoveall', req, confirmationParams);
+            if (confirmationError) {
+                return res.status(403).json({
+                    error: 'Confirmation required',
+                    detail: confirmationError
+                });
+            }
+            
+            // Run the bulk update in the background and hand back a job ID right away
+            const job = createJob('roleremoveall', { botToken, guildId, audit: req.audit, roleId, roleName: role.name, filter });
+            
+            runJob(job, client, async () => {
+                // Fetch all members and keep the ones matching the filter
+                const { members, matched } = await fetchFilteredMembers(guild, filter);
+                job.total = matched.size;
+                job.result = {
+                    totalMembers: members.size,
+                    matchedCount: matched.size
+                };
+                
+                const changes = [];
+                
+                for (const [memberId, member] of matched) {
+                    if (job.cancelRequested) break;
+                    
+                    try {
+                        // Check if member doesn't have the role
+                        if (!member.roles.cache.has(roleId)) {
+                            job.skipCount++;
+                            recordOutcome(job, member.user, 'skipped');
+                            continue;
+                        }
+                        
+                        // Remove role from member (including bots)
+                        await member.roles.remove(role, auditReason(job.audit, 'Bulk role removal via API'));
+                        job.successCount++;
+                        recordOutcome(job, member.user, 'success');
+                        changes.push({ userId: member.id, username: member.user.username });
+                        
+                        // Add small delay to avoid rate limits
+                        await new Promise(resolve => setTimeout(resolve, 100));
+                        
+                    } catch (error) {
+                        job.errorCount++;
+                        job.errors.push(`Failed to remove role from ${member.user.username}: ${error.message}`);
+                        recordOutcome(job, member.user, 'error', error);
+                    } finally {
+                        job.processed++;
+                    }
+                }
+                
+                // Keep a snapshot of who changed so the operation can be undone
+                await saveOperation(job, client.user.id, changes, { roleId, roleName: role.name });
+                
+                job.detail = `Removed role "${role.name}" from ${job.successCount} of ${matched.size} matching users. Skipped ${job.skipCount} users (didn't have role). ${job.errorCount} errors occurred.`;
+            });
+            keepClient = true;
+            
+            res.json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                roleId: roleId,
+                roleName: role.name,
+                detail: `Started removing role "${role.name}" from ${filter ? 'filtered' : 'all'} members. Check GET /jobs/${job.id} for progress.`
+            });
+        } finally {
+            if (!keepClient) {
+                releaseClient(client);
+            }
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Named snapshots of every member's roles, so role assignments can be put back after
+// something (or someone) strips them
+const roleSnapshotStore = loadStore('role-snapshots', {});
+// guildId -> botId -> name -> { name, botId, createdAt, memberCount, roles: { roleId: name }, members: { userId: { username, roles } } }
+const SNAPSHOT_NAME_PATTERN = /^[\w-]{1,50}$/;
+
+// The snapshots one bot took in a guild. Names are user input, so lookups only
+// trust own properties (a snapshot called "constructor" must not hit Object.prototype).
+const botRoleSnapshots = (guildId, botId) => {
+    const guildSnapshots = Object.hasOwn(roleSnapshotStore, guildId) ? roleSnapshotStore[guildId] : {};
+    return Object.hasOwn(guildSnapshots, botId) ? guildSnapshots[botId] : {};
+};
+
+// Snapshots track every role except @everyone and roles managed by integrations
+// (bot roles, booster role), which can't be handed out by hand
+const isSnapshotRole = (guild, role) => role.id !== guild.id && !role.managed;
+
+// Record the current roles of every member
+const captureRoleSnapshot = async (guild) => {
+    const members = await guild.members.fetch();
+    const roles = await guild.roles.fetch();
+    
+    const snapshotRoles = {};
+    roles.filter(role => isSnapshotRole(guild, role)).forEach((role) => {
+        snapshotRoles[role.id] = role.name;
+    });
+    
+    const snapshotMembers = {};
+    members.forEach((member) => {
+        snapshotMembers[member.id] = {
+            username: member.user.username,
+            roles: member.roles.cache.filter(role => isSnapshotRole(guild, role)).map(role => role.id)
+        };
+    });
+    
+    return { memberCount: members.size, roles: snapshotRoles, members: snapshotMembers };
+};
+
+// Compare the guild's current roles with a snapshot. Only members in both are compared,
+// so people who joined since keep their roles. Only roles the snapshot knew about count as
+// extra, so roles created since are never touched. Roles that were deleted are left out,
+// and roles at or above the bot's highest role are flagged since the bot can't change them.
+const diffRoleSnapshot = async (guild, botMember, snapshot) => {
+    const members = await guild.members.fetch();
+    const roles = await guild.roles.fetch();
+    
+    const deletedRoles = Object.keys(snapshot.roles).filter(roleId => !roles.has(roleId));
+    const unmanageable = new Set(roles
+        .filter(role => isSnapshotRole(guild, role) && role.position >= botMember.roles.highest.position)
+        .map(role => role.id));
+    
+    const changes = [];
+    const missingMembers = [];
+    for (const [userId, saved] of Object.entries(snapshot.members)) {
+        const member = members.get(userId);
+        if (!member) {
+            missingMembers.push({ id: userId, username: saved.username });
+            continue;
+        }
+        
+        const current = member.roles.cache.filter(role => isSnapshotRole(guild, role));
+        const missing = saved.roles.filter(roleId => roles.has(roleId) && !current.has(roleId));
+        const extra = current
+            .filter(role => Object.hasOwn(snapshot.roles, role.id) && !saved.roles.includes(role.id))
+            .map(role => role.id);
+        if (missing.length > 0 || extra.length > 0) {
+            changes.push({ member, missing, extra });
+        }
+    }
+    
+    const describeRole = (roleId) => ({
+        id: roleId,
+        name: roles.get(roleId)?.name || snapshot.roles[roleId] || null,
+        manageable: !unmanageable.has(roleId)
+    });
+    
+    return { changes, missingMembers, deletedRoles, unmanageable, describeRole };
+};
+
+// Look up a snapshot the calling bot took in this guild, or answer 404
+const findRoleSnapshot = (res, guildId, botId, name) => {
+    const snapshots = botRoleSnapshots(guildId, botId);
+    const snapshot = Object.hasOwn(snapshots, name) ? snapshots[name] : null;
+    if (!snapshot) {
+        res.status(404).json({
+            error: 'Snapshot not found',
+            detail: `No role snapshot named "${name}" for this server`
+        });
+        return null;
+    }
+    return snapshot;
+};
+
+// Take a named snapshot of every member's roles
+app.post('/roles/snapshots', validateHeaders, async (req, res) => {
+    try {
+        const { name, overwrite: rawOverwrite = false } = req.body || {};
+        const { botToken, guildId } = req;
+        
+        // __proto__ can't be stored as a key of a plain object
+        if (typeof name !== 'string' || !SNAPSHOT_NAME_PATTERN.test(name) || name === '__proto__') {
+            return res.status(400).json({
+                error: 'Invalid snapshot name',
+                detail: 'name must be 1-50 letters, numbers, dashes or underscores'
+            });
+        }
+        
+        const overwrite = parseFlag(rawOverwrite);
+        if (overwrite === null) {
+            return res.status(400).json({
+                error: 'Invalid overwrite',
+                detail: 'overwrite must be true or false'
+            });
+        }
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMembers
+        ]);
+        
+        try {
+            const botId = client.user.id;
+            if (Object.hasOwn(botRoleSnapshots(guildId, botId), name) && !overwrite) {
+                return res.status(409).json({
+                    error: 'Snapshot already exists',
+                    detail: `A snapshot named "${name}" already exists. Pass overwrite: true to replace it.`
+                });
+            }
+            
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            const captured = await captureRoleSnapshot(guild);
+            const snapshot = {
+                name: name,
+                botId: botId,
+                createdAt: new Date(),
+                ...captured
+            };
+            
+            if (!Object.hasOwn(roleSnapshotStore, guildId)) roleSnapshotStore[guildId] = {};
+            const guildSnapshots = roleSnapshotStore[guildId];
+            if (!Object.hasOwn(guildSnapshots, botId)) guildSnapshots[botId] = {};
+            guildSnapshots[botId][name] = snapshot;
+            await saveStore('role-snapshots', roleSnapshotStore);
+            
+            const assignments = Object.values(snapshot.members).reduce((total, member) => total + member.roles.length, 0);
+            res.json({
+                success: true,
+                name: name,
+                createdAt: snapshot.createdAt,
+                memberCount: snapshot.memberCount,
+                roleCount: Object.keys(snapshot.roles).length,
+                assignmentCount: assignments,
+                detail: `Saved snapshot "${name}" with ${assignments} role assignments across ${snapshot.memberCount} members`
+            });
+        } finally {
+            releaseClient(client);
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// List a guild's role snapshots
+app.get('/roles/snapshots', validateHeaders, async (req, res) => {
+    try {
+        const { botToken, guildId } = req;
+        
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds
+        ]);
+        const botId = client.user.id;
+        releaseClient(client);
+        
+        const snapshots = Object.values(botRoleSnapshots(guildId, botId))
+            .map(snapshot => ({
+                name: snapshot.name,
+                createdAt: snapshot.createdAt,
+                memberCount: snapshot.memberCount,
+                roleCount: Object.keys(snapshot.roles).length
+            }));
+        
+        res.json({
+            success: true,
+            guildId: guildId,
+            totalSnapshots: snapshots.length,
+            snapshots: snapshots,
+            detail: `Found ${snapshots.length} role snapshot(s) for this server`
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Show how the current roles differ from a snapshot
+app.get('/roles/snapshots/:name/diff', validateHeaders, async (req, res) => {
+    try {
+        const { botToken, guildId } = req;
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMembers
+        ]);
+        
+        try {
+            const snapshot = findRoleSnapshot(res, guildId, client.user.id, req.params.name);
+            if (!snapshot) return;
+            
+            const guild = await client.guilds.fetch(guildId);
+            const botMember = await guild.members.fetch(client.user.id);
+            const { changes, missingMembers, deletedRoles, describeRole } = await diffRoleSnapshot(guild, botMember, snapshot);
+            
+            const missingCount = changes.reduce((total, change) => total + change.missing.length, 0);
+            const extraCount = changes.reduce((total, change) => total + change.extra.length, 0);
+            
+            res.json({
+                success: true,
+                name: snapshot.name,
+                snapshotCreatedAt: snapshot.createdAt,
+                changedMemberCount: changes.length,
+                missingRoleCount: missingCount,
+                extraRoleCount: extraCount,
+                members: changes.map(({ member, missing, extra }) => ({
+                    ...describeMember(member),
+                    missingRoles: missing.map(describeRole),
+                    extraRoles: extra.map(describeRole)
+                })),
+                membersLeft: missingMembers,
+                deletedRoles: deletedRoles.map(roleId => ({ id: roleId, name: snapshot.roles[roleId] })),
+                detail: `${changes.length} member(s) differ from snapshot "${snapshot.name}": ${missingCount} role(s) missing, ${extraCount} extra. ${missingMembers.length} member(s) have left and ${deletedRoles.length} role(s) were deleted since.`
+            });
+        } finally {
+            releaseClient(client);
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Put members' roles back the way a snapshot recorded them
+app.post('/roles/snapshots/:name/restore', validateHeaders, async (req, res) => {
+    try {
+        const { removeExtra: rawRemoveExtra = false, dryRun = false, confirmationToken } = req.body || {};
+        const { botToken, guildId } = req;
+        const { name } = req.params;
+        
+        // "false" from BDFD must not be read as true here, it would strip roles
+        const removeExtra = parseFlag(rawRemoveExtra);
+        if (removeExtra === null) {
+            return res.status(400).json({
+                error: 'Invalid removeExtra',
+                detail: 'removeExtra must be true or false'
+            });
+        }
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMembers
+        ]);
+        let keepClient = false;
+        
+        try {
+            const snapshot = findRoleSnapshot(res, guildId, client.user.id, name);
+            if (!snapshot) return;
+            
+            const guild = await client.guilds.fetch(guildId);
+            
+            // Check bot permissions
+            const botMember = await guild.members.fetch(client.user.id);
+            if (!botMember.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: 'Bot lacks MANAGE_ROLES permission'
+                });
+            }
+            
+            // Roles above the bot are left alone; they are reported as skipped instead
+            const planChanges = async () => {
+                const diff = await diffRoleSnapshot(guild, botMember, snapshot);
+                const plan = diff.changes.map(({ member, missing, extra }) => ({
+                    member: member,
+                    add: missing.filter(roleId => !diff.unmanageable.has(roleId)),
+                    remove: removeExtra ? extra.filter(roleId => !diff.unmanageable.has(roleId)) : [],
+                    blocked: [...missing, ...(removeExtra ? extra : [])].filter(roleId => diff.unmanageable.has(roleId))
+                }));
+                return { ...diff, plan };
+            };
+            
+            if (dryRun) {
+                const { plan, describeRole } = await planChanges();
+                const changing = plan.filter(change => change.add.length > 0 || change.remove.length > 0);
+                
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    name: snapshot.name,
+                    removeExtra: removeExtra,
+                    changeCount: changing.length,
+                    members: changing.map(({ member, add, remove, blocked }) => ({
+                        ...describeMember(member),
+                        addRoles: add.map(describeRole),
+                        removeRoles: remove.map(describeRole),
+                        skippedRoles: blocked.map(describeRole)
+                    })),
+                    ...issueConfirmationToken('rolerestore', req, { name, removeExtra }),
+                    detail: `Dry run: ${changing.length} member(s) would be changed to match snapshot "${snapshot.name}". No changes were made.`
+                });
+            }
+            
+            const confirmationError = consumeConfirmationToken(confirmationToken, 'rolerestore', req, { name, removeExtra });
+            if (confirmationError) {
+                return res.status(403).json({
+                    error: 'Confirmation required',
+                    detail: confirmationError
+                });
+            }
+            
+            // Run the restore in the background and hand back a job ID right away
+            const job = createJob('rolerestore', { botToken, guildId, audit: req.audit, snapshot: snapshot.name, removeExtra: removeExtra });
+            
+            runJob(job, client, async () => {
+                const { plan } = await planChanges();
+                job.total = plan.length;
+                let addedCount = 0;
+                let removedCount = 0;
+                
+                for (const { member, add, remove, blocked } of plan) {
+                    if (job.cancelRequested) break;
+                    
+                    try {
+                        if (add.length === 0 && remove.length === 0) {
+                            job.skipCount++;
+                            recordOutcome(job, member.user, 'skipped', blocked.length ? new Error('Roles are above the bot\'s highest role') : null);
+                            continue;
+                        }
+                        
+                        const reason = auditReason(job.audit, `Role restore from snapshot ${snapshot.name}`);
+                        if (add.length > 0) await member.roles.add(add, reason);
+                        if (remove.length > 0) await member.roles.remove(remove, reason);
+                        addedCount += add.length;
+                        removedCount += remove.length;
+                        
+                        job.successCount++;
+                        recordOutcome(job, member.user, 'success');
+                        
+                        // Add small delay to avoid rate limits
+                        await new Promise(resolve => setTimeout(resolve, 100));
+                        
+                    } catch (error) {
+                        job.errorCount++;
+                        job.errors.push(`Failed to restore roles of ${member.user.username}: ${error.message}`);
+                        recordOutcome(job, member.user, 'error', error);
+                    } finally {
+                        job.processed++;
+                    }
+                }
+                
+                job.result = { ...job.result, addedCount, removedCount };
+                job.detail = `Restored roles of ${job.successCount} of ${plan.length} differing members from snapshot "${snapshot.name}": ${addedCount} role(s) added, ${removedCount} removed. Skipped ${job.skipCount} (roles above the bot). ${job.errorCount} errors occurred.`;
+            });
+            keepClient = true;
+            
+            res.json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                name: snapshot.name,
+                removeExtra: removeExtra,
+                detail: `Started restoring roles from snapshot "${snapshot.name}". Check GET /jobs/${job.id} for progress.`
+            });
+        } finally {
+            if (!keepClient) {
+                releaseClient(client);
+            }
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Delete a role snapshot
+app.delete('/roles/snapshots/:name', validateHeaders, async (req, res) => {
+    try {
+        const { botToken, guildId } = req;
+        
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds
+        ]);
+        const botId = client.user.id;
+        releaseClient(client);
+        
+        const snapshot = findRoleSnapshot(res, guildId, botId, req.params.name);
+        if (!snapshot) return;
+        
+        delete roleSnapshotStore[guildId][botId][snapshot.name];
+        await saveStore('role-snapshots', roleSnapshotStore);
+        
+        res.json({
+            success: true,
+            name: snapshot.name,
+            detail: `Role snapshot "${snapshot.name}" was deleted`
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Get banned users list endpoint
+app.get('/banlist', validateHeaders, async (req, res) => {
+    try {
+        const { limit, before, after, search, reason, format = 'json' } = req.query;
+        const { botToken, guildId } = req;
+        
+        const pageSize = limit !== undefined ? parseInt(limit, 10) : null;
+        if (pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 1000)) {
+            return res.status(400).json({
+                error: 'Invalid limit',
+                detail: 'limit must be a number between 1 and 1000'
+            });
+        }
+        
+        if ([before, after].some(cursor => cursor && !/^\d+$/.test(cursor))) {
+            return res.status(400).json({
+                error: 'Invalid cursor',
+                detail: 'before and after must be user IDs'
+            });
+        }
+        
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid format',
+                detail: 'format must be json or csv'
+            });
+        }
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildBans
+        ]);
+        
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            // Check bot permissions
+            const botMember = await guild.members.fetch(client.user.id);
+            if (!botMember.permissions.has(PermissionsBitField.Flags.BanMembers)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: 'Bot lacks BAN_MEMBERS permission'
+                });
+            }
+            
+            // Fetch all bans, sorted by user ID so cursors are stable
+            const bans = await fetchAllBans(guild);
+            const sortedBans = [...bans.values()].sort((a, b) => (BigInt(a.user.id) < BigInt(b.user.id) ? -1 : 1));
+            
+            // Filter by username and reason text
+            const searchText = search ? String(search).toLowerCase() : null;
+            const reasonText = reason ? String(reason).toLowerCase() : null;
+            const matching = sortedBans.filter(ban => {
+                if (searchText && ![ban.user.username, ban.user.tag, ban.user.globalName]
+                    .some(name => name && name.toLowerCase().includes(searchText))) {
+                    return false;
+                }
+                if (reasonText && !(ban.reason || '').toLowerCase().includes(reasonText)) {
+                    return false;
+                }
+                return true;
+            });
+            
+            // Cursor pagination by user ID; without a limit every matching ban is returned
+            let page = matching;
+            if (after) {
+                page = page.filter(ban => BigInt(ban.user.id) > BigInt(after));
+            }
+            if (before) {
+                page = page.filter(ban => BigInt(ban.user.id) < BigInt(before));
+            }
+            const hasMore = pageSize !== null && page.length > pageSize;
+            if (pageSize !== null) {
+                // Paging backwards keeps the entries closest to the cursor
+                page = before && !after ? page.slice(-pageSize) : page.slice(0, pageSize);
+            }
+            
+            // Real ban times come from the audit log when the bot can read it
+            const canViewAuditLog = botMember.permissions.has(PermissionsBitField.Flags.ViewAuditLog);
+            const banTimestamps = canViewAuditLog && page.length > 0
+                ? (await fetchBanTimestamps(guild, page.map(ban => ban.user.id))).timestamps
+                : new Map();
+            
+            const bannedUsers = page.map(ban => ({
+                id: ban.user.id,
+                username: ban.user.username,
+                discriminator: ban.user.discriminator,
+                tag: ban.user.tag,
+                avatar: ban.user.displayAvatarURL(),
+                reason: ban.reason || 'No reason provided',
+                bannedAt: banTimestamps.get(ban.user.id) || null,
+                accountCreatedAt: ban.user.createdAt
+            }));
+            
+            if (format === 'csv') {
+                const columns = ['id', 'username', 'tag', 'reason', 'bannedAt', 'accountCreatedAt'];
+                const rows = bannedUsers.map(user => columns.map(column => {
+                    const value = user[column];
+                    return csvValue(value instanceof Date ? value.toISOString() : value);
+                }).join(','));
+                
+                res.type('text/csv');
+                res.attachment(`bans-${guildId}.csv`);
+                return res.send([columns.join(','), ...rows].join('\n'));
+            }
+            
+            const firstId = bannedUsers.length > 0 ? bannedUsers[0].id : null;
+            const lastId = bannedUsers.length > 0 ? bannedUsers[bannedUsers.length - 1].id : null;
+            
+            res.json({
+                success: true,
+                guildId: guildId,
+                guildName: guild.name,
+                totalBans: bans.size,
+                matchingBans: matching.length,
+                count: bannedUsers.length,
+                hasMore: hasMore,
+                nextCursor: pageSize !== null && lastId && (hasMore || before) ? lastId : null,
+                prevCursor: pageSize !== null && firstId && matching[0].user.id !== firstId ? firstId : null,
+                bannedAtSource: canViewAuditLog ? 'audit_log' : 'unavailable',
+                bannedUsers: bannedUsers,
+                pageText: bannedUsers.map(user => `• ${user.tag} (${user.id}) - ${user.reason}`).join('\n'),
+                detail: `Retrieved ${bannedUsers.length} of ${matching.length} matching banned users from server "${guild.name}" (${bans.size} total)`
+            });
+        } finally {
+            releaseClient(client);
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Get guild member count endpoint
+app.get('/guild/membercount', validateHeaders, async (req, res) => {
+    try {
+        const { botToken, guildId } = req;
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMembers
+        ]);
+        
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            // Fetch all members to get accurate counts
+            const members = await guild.members.fetch();
+            
+            let userCount = 0;
+            let botCount = 0;
+            
+            members.forEach(member => {
+                if (member.user.bot) {
+                    botCount++;
+                } else {
+                    userCount++;
+                }
+            });
+            
+            const totalCount = userCount + botCount;
+            
+            res.json({
+                success: true,
+                guildId: guildId,
+                guildName: guild.name,
+                count: {
+                    users: userCount,
+                    bots: botCount,
+                    total: totalCount
+                },
+                detail: `Retrieved member count for server "${guild.name}": ${userCount} users, ${botCount} bots, ${totalCount} total`
+            });
+        } finally {
+            releaseClient(client);
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Count how many members joined per day and per week, most recent first
+const countJoins = (members, days, weeks) => {
+    const now = Date.now();
+    const perDay = {};
+    const perWeek = {};
+    
+    for (let i = 0; i < days; i++) {
+        perDay[new Date(now - i * DAY_MS).toISOString().slice(0, 10)] = 0;
+    }
+    for (let i = 0; i < weeks; i++) {
+        perWeek[new Date(now - (i * 7 + 6) * DAY_MS).toISOString().slice(0, 10)] = 0;
+    }
+    const weekStarts = Object.keys(perWeek);
+    
+    members.forEach(member => {
+        if (!member.joinedTimestamp) return;
+        const age = now - member.joinedTimestamp;
+        
+        const day = new Date(member.joinedTimestamp).toISOString().slice(0, 10);
+        if (day in perDay) {
+            perDay[day]++;
+        }
+        
+        // Weeks are rolling 7-day windows keyed by their first day
+        const week = Math.floor(age / (7 * DAY_MS));
+        if (week < weeks) {
+            perWeek[weekStarts[week]]++;
+        }
+    });
+    
+    return { perDay, perWeek };
+};
+
+// Extended guild statistics endpoint
+app.get('/guild/stats', validateHeaders, async (req, res) => {
+    try {
+        const { mode = 'full', presence = 'false' } = req.query;
+        const { botToken, guildId } = req;
+        const days = Math.min(parseInt(req.query.days, 10) || 30, 90);
+        const weeks = Math.min(parseInt(req.query.weeks, 10) || 12, 52);
+        
+        if (!['full', 'approximate'].includes(mode)) {
+            return res.status(400).json({
+                error: 'Invalid mode',
+                detail: 'mode must be full or approximate'
+            });
+        }
+        
+        // Presence needs the privileged GuildPresences intent, so it is opt-in
+        const withPresence = mode === 'full' && presence === 'true';
+        const intents = [GatewayIntentBits.Guilds];
+        if (mode === 'full') {
+            intents.push(GatewayIntentBits.GuildMembers);
+        }
+        if (withPresence) {
+            intents.push(GatewayIntentBits.GuildPresences);
+        }
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, intents);
+        
+        try {
+            // Approximate counts come with the guild itself, no member fetch needed
+            const guild = await client.guilds.fetch({ guild: guildId, withCounts: true, force: true });
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            const channels = await guild.channels.fetch();
+            const channelsByType = {};
+            channels.forEach(channel => {
+                if (!channel) return;
+                const type = ChannelType[channel.type] || String(channel.type);
+                channelsByType[type] = (channelsByType[type] || 0) + 1;
+            });
+            
+            const stats = {
+                success: true,
+                guildId: guildId,
+                guildName: guild.name,
+                mode: mode,
+                approximate: {
+                    members: guild.approximateMemberCount,
+                    online: guild.approximatePresenceCount
+                },
+                boosts: {
+                    count: guild.premiumSubscriptionCount || 0,
+                    tier: guild.premiumTier
+                },
+                channels: {
+                    total: channels.size,
+                    byType: channelsByType
+                }
+            };
+            
+            if (mode === 'approximate') {
+                return res.json({
+                    ...stats,
+                    detail: `Approximate stats for server "${guild.name}": about ${guild.approximateMemberCount} members, ${guild.approximatePresenceCount} online`
+                });
+            }
+            
+            // Fetch all members to get accurate counts
+            const members = await guild.members.fetch({ withPresences: withPresence });
+            const botCount = members.filter(member => member.user.bot).size;
+            
+            let presenceCounts = null;
+            if (withPresence) {
+                presenceCounts = { online: 0, idle: 0, dnd: 0, offline: 0 };
+                members.forEach(member => {
+                    const status = member.presence ? member.presence.status : 'offline';
+                    presenceCounts[status in presenceCounts ? status : 'offline']++;
+                });
+            }
+            
+            const roles = guild.roles.cache
+                .sorted((a, b) => b.position - a.position)
+                .map(role => ({
+                    id: role.id,
+                    name: role.name,
+                    memberCount: role.id === guild.id ? members.size : role.members.size
+                }));
+            
+            res.json({
+                ...stats,
+                count: {
+                    users: members.size - botCount,
+                    bots: botCount,
+                    total: members.size
+                },
+                presence: presenceCounts,
+                roles: roles,
+                joins: countJoins(members, days, weeks),
+                detail: `Retrieved stats for server "${guild.name}": ${members.size} members, ${roles.length} roles, ${channels.size} channels, ${stats.boosts.count} boosts`
+            });
+        } finally {
+            releaseClient(client);
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Unban all users endpoint
+app.post('/unbanall', validateHeaders, async (req, res) => {
+    try {
+        const { dryRun = false, confirmationToken, ...options } = req.body || {};
+        const { botToken, guildId } = req;
+        
+        const { filter, error: filterError } = parseBanFilter(options);
+        if (filterError) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                detail: filterError
+            });
+        }
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildBans
+        ]);
+        let keepClient = false;
+        
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            // Check bot permissions
+            const botMember = await guild.members.fetch(client.user.id);
+            if (!botMember.permissions.has(PermissionsBitField.Flags.BanMembers)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: 'Bot lacks BAN_MEMBERS permission'
+                });
+            }
+            
+            // Ban ages come from the audit log
+            if (filter.olderThanDays !== null && !botMember.permissions.has(PermissionsBitField.Flags.ViewAuditLog)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: 'Bot lacks VIEW_AUDIT_LOG permission, which olderThanDays needs'
+                });
+            }
+            
+            // Dry run - list the bans that would be lifted without unbanning anyone
+            if (dryRun) {
+                const bans = await fetchAllBans(guild);
+                const { matched, unknownAgeCount } = await filterBans(guild, bans, filter);
+                const wouldUnban = matched.map((ban, userId) => ({
+                    id: userId,
+                    username: ban.user.username,
+                    tag: ban.user.tag,
+                    reason: ban.reason || 'No reason provided'
+                }));
+                
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    totalBans: bans.size,
+                    matchedCount: matched.size,
+                    changeCount: wouldUnban.length,
+                    unknownAgeCount: unknownAgeCount,
+                    bannedUsers: wouldUnban,
+                    ...issueConfirmationToken('unbanall', req, filter),
+                    detail: `Dry run: ${wouldUnban.length} banned users would be unbanned.${unknownAgeCount ? ` ${unknownAgeCount} skipped because their ban date is beyond the scanned audit log.` : ''} No changes were made.`
+                });
+            }
+            
+            const confirmationError = consumeConfirmationToken(confirmationToken, 'unbanall', req, filter);
+            if (confirmationError) {
+                return res.status(403).json({
+                    error: 'Confirmation required',
+                    detail: confirmationError
+                });
+            }
+            
+            // Run the bulk unban in the background and hand back a job ID right away
+            const job = createJob('unbanall', { botToken, guildId, audit: req.audit, filter });
+            
+            runJob(job, client, async () => {
+                // Fetch all bans and keep the ones selected by the filter
+                const bans = await fetchAllBans(guild);
+                const { matched, unknownAgeCount } = await filterBans(guild, bans, filter);
+                job.total = matched.size;
+                
+                if (matched.size === 0) {
+                    job.result = { totalBans: bans.size, matchedCount: 0, unknownAgeCount, unbannedUsers: [] };
+                    job.detail = bans.size === 0
+                        ? 'No banned users found in this server'
+                        : `None of the ${bans.size} banned users matched the unban filter`;
+                    return;
+                }
+                
+                const unbannedUsers = [];
+                
+                for (const [userId, ban] of matched) {
+                    if (job.cancelRequested) break;
+                    
+                    try {
+                        await guild.members.unban(userId, auditReason(job.audit, 'Bulk unban via API'));
+                        job.successCount++;
+                        recordOutcome(job, ban.user, 'success');
+                        unbannedUsers.push({
+                            id: userId,
+                            username: ban.user.username,
+                            tag: ban.user.tag,
+                            reason: ban.reason
+                        });
+                        
+                        // Add small delay to avoid rate limits
+                        await new Promise(resolve => setTimeout(resolve, 500));
+                        
+                    } catch (error) {
+                        job.errorCount++;
+                        job.errors.push(`Failed to unban ${ban.user.username}: ${error.message}`);
+                        recordOutcome(job, ban.user, 'error', error);
+                    } finally {
+                        job.processed++;
+                    }
+                }
+                
+                job.result = {
+                    totalBans: bans.size,
+                    matchedCount: matched.size,
+                    unknownAgeCount: unknownAgeCount,
+                    unbannedUsers: unbannedUsers.slice(0, 20) // Limit users shown in response
+                };
+                
+                // Keep the full list with original reasons so the unban can be undone
+                await saveOperation(job, client.user.id, unbannedUsers.map(user => ({
+                    userId: user.id,
+                    username: user.username,
+                    reason: user.reason
+                })));
+                job.detail = `Successfully unbanned ${job.successCount} out of ${matched.size} matching banned users (${bans.size} total). ${unknownAgeCount ? `${unknownAgeCount} skipped because their ban date is beyond the scanned audit log. ` : ''}${job.errorCount} errors occurred.`;
+            });
+            keepClient = true;
+            
+            res.json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                detail: `Started unbanning ${filter.userIds || filter.reasonPattern || filter.olderThanDays !== null ? 'selected' : 'all'} users. Check GET /jobs/${job.id} for progress.`
+            });
+        } finally {
+            if (!keepClient) {
+                releaseClient(client);
+            }
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Mass ban / mass kick handler shared by both routes
+const handleMassAction = (action) => async (req, res) => {
+    const settings = MASS_ACTIONS[action];
+    
+    try {
+        const {
+            userIds,
+            filter: rawFilter,
+            reason,
+            deleteMessageSeconds = 0,
+            overrideCap: rawOverrideCap = false,
+            dryRun: rawDryRun = false,
+            confirmationToken
+        } = req.body || {};
+        const { botToken, guildId } = req;
+        
+        // BDFD sends "false" as text, which must not lift the cap or skip the dry run
+        const overrideCap = parseFlag(rawOverrideCap);
+        const dryRun = parseFlag(rawDryRun);
+        if (overrideCap === null || dryRun === null) {
+            return res.status(400).json({
+                error: 'Invalid flag',
+                detail: 'overrideCap and dryRun must be true or false'
+            });
+        }
+        
+        if (userIds === undefined && rawFilter === undefined) {
+            return res.status(400).json({
+                error: 'Missing targets',
+                detail: `Please provide userIds or a filter such as { "joinedWithinMinutes": 10 } to choose who to ${settings.verb}`
+            });
+        }
+        
+        const { filter, error: filterError } = parseMemberFilter({
+            ...(rawFilter || {}),
+            ...(userIds !== undefined && { userIds })
+        });
+        if (filterError) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                detail: filterError
+            });
+        }
+        
+        // memberType alone would select everyone, so at least one narrowing criterion is required
+        const narrowed = filter && Object.entries(filter)
+            .some(([key, value]) => key !== 'memberType' && value !== null);
+        if (!narrowed) {
+            return res.status(400).json({
+                error: 'Filter too broad',
+                detail: `Please narrow the filter (userIds, join date, account age or role) before trying to ${settings.verb} users`
+            });
+        }
+        
+        if (reason !== undefined && (typeof reason !== 'string' || reason.length > 400)) {
+            return res.status(400).json({
+                error: 'Invalid reason',
+                detail: 'reason must be a string of at most 400 characters'
+            });
+        }
+        
+        const deleteSeconds = Number(deleteMessageSeconds);
+        if (!Number.isInteger(deleteSeconds) || deleteSeconds < 0 || deleteSeconds > MAX_DELETE_MESSAGE_SECONDS) {
+            return res.status(400).json({
+                error: 'Invalid deleteMessageSeconds',
+                detail: `deleteMessageSeconds must be a whole number between 0 and ${MAX_DELETE_MESSAGE_SECONDS}`
+            });
+        }
+        
+        const confirmationParams = filterConfirmationParams(rawFilter, { userIds, reason, deleteMessageSeconds: deleteSeconds });
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMembers
+        ]);
+        let keepClient = false;
+        
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            // Check bot permissions
+            const botMember = await guild.members.fetch(client.user.id);
+            if (!botMember.permissions.has(settings.permission)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: `Bot lacks ${settings.permissionName} permission`
+                });
+            }
+            
+            const { targets, protectedTargets } = await resolveMassActionTargets(guild, botMember, filter, action, rawFilter === undefined);
+            
+            // Hard cap against runaway filters
+            if (targets.length > MASS_ACTION_CAP && !overrideCap && !dryRun) {
+                return res.status(400).json({
+                    error: 'Too many targets',
+                    targetCount: targets.length,
+                    cap: MASS_ACTION_CAP,
+                    detail: `This would ${settings.verb} ${targets.length} users, above the cap of ${MASS_ACTION_CAP}. Check with dryRun and pass "overrideCap": true to continue.`
+                });
+            }
+            
+            // Dry run - list who would be affected without touching anyone
+            if (dryRun) {
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    action: settings.verb,
+                    targetCount: targets.length,
+                    protectedCount: protectedTargets.length,
+                    cap: MASS_ACTION_CAP,
+                    exceedsCap: targets.length > MASS_ACTION_CAP,
+                    members: targets.map(target => (target.member
+                        ? describeMember(target.member)
+                        : { id: target.id, username: null, tag: null, bot: null })),
+                    protectedMembers: protectedTargets,
+                    ...issueConfirmationToken(action, req, confirmationParams),
+                    detail: `Dry run: ${targets.length} users would be ${settings.pastTense.toLowerCase()}. ${protectedTargets.length} protected by role hierarchy or ownership. No changes were made.`
+                });
+            }
+            
+            const confirmationError = consumeConfirmationToken(confirmationToken, action, req, confirmationParams);
+            if (confirmationError) {
+                return res.status(403).json({
+                    error: 'Confirmation required',
+                    detail: confirmationError
+                });
+            }
+            
+            const job = createJob(action, { botToken, guildId, audit: req.audit, filter, reason: reason || null });
+            
+            runJob(job, client, async () => {
+                job.total = targets.length;
+                job.result = {
+                    protectedCount: protectedTargets.length,
+                    protectedMembers: protectedTargets
+                };
+                const auditedReason = auditReason(job.audit, reason || settings.defaultReason);
+                
+                for (const target of targets) {
+                    if (job.cancelRequested) break;
+                    
+                    try {
+                        if (action === 'massban') {
+                            await guild.members.ban(target.id, {
+                                reason: auditedReason,
+                                deleteMessageSeconds: deleteSeconds
+                            });
+                        } else {
+                            await target.member.kick(auditedReason);
+                        }
+                        job.successCount++;
+                        recordOutcome(job, target.user, 'success');
+                        
+                        // Add small delay to avoid rate limits
+                        await new Promise(resolve => setTimeout(resolve, 500));
+                        
+                    } catch (error) {
+                        job.errorCount++;
+                        job.errors.push(`Failed to ${settings.verb} ${target.user.username}: ${error.message}`);
+                        recordOutcome(job, target.user, 'error', error);
+                    } finally {
+                        job.processed++;
+                    }
+                }
+                
+                job.detail = `${settings.pastTense} ${job.successCount} of ${targets.length} users. ${protectedTargets.length} protected users were left alone. ${job.errorCount} errors occurred.`;
+            });
+            keepClient = true;
+            
+            res.json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                targetCount: targets.length,
+                protectedCount: protectedTargets.length,
+                detail: `Started ${settings.verb === 'ban' ? 'banning' : 'kicking'} ${targets.length} users. Check GET /jobs/${job.id} for progress.`
+            });
+        } finally {
+            if (!keepClient) {
+                releaseClient(client);
+            }
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+};
+
+// Mass ban endpoint for raid cleanup
+app.post('/massban', validateHeaders, handleMassAction('massban'));
+
+// Mass kick endpoint for raid cleanup
+app.post('/masskick', validateHeaders, handleMassAction('masskick'));
+
+// Conversational AI sessions, persisted so they come back after a restart
+const AI_INTENTS = [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent
+];
+const aiSessionStore = loadStore('ai-sessions', {});
+// channelId -> { guildId, channelId, token (encrypted), tokenHash, model, jsonMode, createdAt }
+const aiSessionErrors = new Map(); // channelId -> error from the last restore attempt
+
+// One gateway connection per bot token serves every AI channel for that token
+const aiRouters = new Map(); // botToken -> { client, listener, channels: Map<channelId, config> }
+
+// Conversation behaviour that /set-ai and PATCH /ai/sessions/:channelId can configure
+const AI_PERSONAS = {
+    friendly: 'You are a friendly chatbot.',
+    helpful: 'You are a helpful assistant. Give clear, accurate and concise answers.',
+    funny: 'You are a witty chatbot. Keep answers helpful but add light humour.',
+    teacher: 'You are a patient teacher. Explain things step by step with simple examples.',
+    pirate: 'You are a cheerful pirate. Answer every message in a pirate voice.'
+};
+const AI_TRIGGER_MODES = ['all', 'mention', 'reply', 'keyword'];
+const MAX_HISTORY_LIMIT = 100;
+const AI_CONTEXT_MODES = ['author', 'all'];
+const AI_CONTEXT_BUDGET_UNITS = ['characters', 'tokens'];
+const MAX_REPLY_CHAIN_DEPTH = 10;
+const AI_LONG_REPLY_MODES = ['split', 'embed', 'file'];
+const AI_MEMORY_MODES = ['discord', 'local'];
+const DEFAULT_CONVERSATION_OPTIONS = {
+    provider: 'pollinations',
+    model: 'openai',
+    jsonMode: false,
+    systemPrompt: null,
+    persona: 'friendly',
+    historyLimit: 15,
+    ignorePrefix: '!',
+    triggerMode: 'all',
+    keywords: [],
+    contextMode: 'author',
+    contextBudget: null,
+    contextBudgetUnit: 'characters',
+    replyChainDepth: 5,
+    includeThreads: true,
+    userCooldownSeconds: 5,
+    channelDailyLimit: null,
+    guildDailyLimit: null,
+    longReplyMode: 'split',
+    replyToTrigger: false,
+    blockedWords: [],
+    blockedPatterns: [],
+    maxReplyLength: null,
+    blockedMessage: "Sorry, I can't help with that.",
+    streamReplies: false,
+    memoryMode: 'discord',
+    memoryTurnLimit: 40,
+    slashCommands: false
+};
+
+// Read a true/false flag. BDFD sends every value as text, so "true" and "false" are
+// accepted too; anything else gives null so callers can reject it.
+const parseFlag = (value) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return null;
+};
+
+// Validate conversation options from a request body on top of a base config,
+// so a PATCH only changes the fields it names. Returns { options } or { error }.
+const parseConversationOptions = (body, base = DEFAULT_CONVERSATION_OPTIONS) => {
+    const options = { ...DEFAULT_CONVERSATION_OPTIONS, ...base };
+    
+    if (body.provider !== undefined) {
+        if (!Object.hasOwn(AI_PROVIDERS, body.provider)) {
+            return { error: `provider must be one of: ${Object.keys(AI_PROVIDERS).join(', ')}` };
+        }
+        // Switching provider without naming a model picks that provider's default
+        if (body.provider !== options.provider && body.model === undefined) {
+            options.model = AI_PROVIDERS[body.provider].defaultModel || null;
+        }
+        options.provider = body.provider;
+    }
+    
+    if (body.model !== undefined) {
+        if (typeof body.model !== 'string' || !body.model) {
+            return { error: 'model must be a non-empty string' };
+        }
+        options.model = body.model;
+    }
+    
+    if (!options.model) {
+        return { error: `provider "${options.provider}" has no default model, please provide a model` };
+    }
+    
+    if (body.jsonMode !== undefined) {
+        options.jsonMode = parseFlag(body.jsonMode);
+        if (options.jsonMode === null) {
+            return { error: 'jsonMode must be true or false' };
+        }
+    }
+    
+    if (body.systemPrompt !== undefined) {
+        if (body.systemPrompt !== null && (typeof body.systemPrompt !== 'string' || body.systemPrompt.length > 4000)) {
+            return { error: 'systemPrompt must be a string of at most 4000 characters, or null' };
+        }
+        options.systemPrompt = body.systemPrompt || null;
+    }
+    
+    if (body.persona !== undefined) {
+        if (!Object.hasOwn(AI_PERSONAS, body.persona)) {
+            return { error: `persona must be one of: ${Object.keys(AI_PERSONAS).join(', ')}` };
+        }
+        options.persona = body.persona;
+    }
+    
+    if (body.historyLimit !== undefined) {
+        const historyLimit = Number(body.historyLimit);
+        if (!Number.isInteger(historyLimit) || historyLimit < 1 || historyLimit > MAX_HISTORY_LIMIT) {
+            return { error: `historyLimit must be a whole number between 1 and ${MAX_HISTORY_LIMIT}` };
+        }
+        options.historyLimit = historyLimit;
+    }
+    
+    if (body.ignorePrefix !== undefined) {
+        if (typeof body.ignorePrefix !== 'string' || body.ignorePrefix.length > 10) {
+            return { error: 'ignorePrefix must be a string of at most 10 characters (empty to disable)' };
+        }
+        options.ignorePrefix = body.ignorePrefix;
+    }
+    
+    if (body.triggerMode !== undefined) {
+        if (!AI_TRIGGER_MODES.includes(body.triggerMode)) {
+            return { error: `triggerMode must be one of: ${AI_TRIGGER_MODES.join(', ')}` };
+        }
+        options.triggerMode = body.triggerMode;
+    }
+    
+    if (body.keywords !== undefined) {
+        const keywords = typeof body.keywords === 'string' ? [body.keywords] : body.keywords;
+        if (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+            return { error: 'keywords must be a string or an array of non-empty strings' };
+        }
+        options.keywords = keywords.map(keyword => keyword.trim().toLowerCase());
+    }
+    
+    if (body.contextMode !== undefined) {
+        if (!AI_CONTEXT_MODES.includes(body.contextMode)) {
+            return { error: `contextMode must be one of: ${AI_CONTEXT_MODES.join(', ')}` };
+        }
+        options.contextMode = body.contextMode;
+    }
+    
+    if (body.contextBudget !== undefined) {
+        const contextBudget = body.contextBudget === null ? null : Number(body.contextBudget);
+        if (contextBudget !== null && (!Number.isInteger(contextBudget) || contextBudget < 1)) {
+            return { error: 'contextBudget must be a positive whole number, or null for no budget' };
+        }
+        options.contextBudget = contextBudget;
+    }
+    
+    if (body.contextBudgetUnit !== undefined) {
+        if (!AI_CONTEXT_BUDGET_UNITS.includes(body.contextBudgetUnit)) {
+            return { error: `contextBudgetUnit must be one of: ${AI_CONTEXT_BUDGET_UNITS.join(', ')}` };
+        }
+        options.contextBudgetUnit = body.contextBudgetUnit;
+    }
+    
+    if (body.replyChainDepth !== undefined) {
+        const replyChainDepth = Number(body.replyChainDepth);
+        if (!Number.isInteger(replyChainDepth) || replyChainDepth < 0 || replyChainDepth > MAX_REPLY_CHAIN_DEPTH) {
+            return { error: `replyChainDepth must be a whole number between 0 and ${MAX_REPLY_CHAIN_DEPTH}` };
+        }
+        options.replyChainDepth = replyChainDepth;
+    }
+    
+    if (body.includeThreads !== undefined) {
+        options.includeThreads = parseFlag(body.includeThreads);
+        if (options.includeThreads === null) {
+            return { error: 'includeThreads must be true or false' };
+        }
+    }
+    
+    if (body.userCooldownSeconds !== undefined) {
+        const userCooldownSeconds = Number(body.userCooldownSeconds);
+        if (!Number.isInteger(userCooldownSeconds) || userCooldownSeconds < 0 || userCooldownSeconds > 3600) {
+            return { error: 'userCooldownSeconds must be a whole number between 0 and 3600' };
+        }
+        options.userCooldownSeconds = userCooldownSeconds;
+    }
+    
+    for (const field of ['channelDailyLimit', 'guildDailyLimit']) {
+        if (body[field] === undefined) continue;
+        const limit = body[field] === null ? null : Number(body[field]);
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+            return { error: `${field} must be a positive whole number, or null for no limit` };
+        }
+        options[field] = limit;
+    }
+    
+    if (body.longReplyMode !== undefined) {
+        if (!AI_LONG_REPLY_MODES.includes(body.longReplyMode)) {
+            return { error: `longReplyMode must be one of: ${AI_LONG_REPLY_MODES.join(', ')}` };
+        }
+        options.longReplyMode = body.longReplyMode;
+    }
+    
+    if (body.replyToTrigger !== undefined) {
+        options.replyToTrigger = parseFlag(body.replyToTrigger);
+        if (options.replyToTrigger === null) {
+            return { error: 'replyToTrigger must be true or false' };
+        }
+    }
+    
+    if (body.blockedWords !== undefined) {
+        const blockedWords = typeof body.blockedWords === 'string' ? [body.blockedWords] : body.blockedWords;
+        if (!Array.isArray(blockedWords) || blockedWords.length > 200 || blockedWords.some(word => typeof word !== 'string' || !word.trim())) {
+            return { error: 'blockedWords must be a string or an array of at most 200 non-empty strings' };
+        }
+        options.blockedWords = blockedWords.map(word => word.trim().toLowerCase());
+    }
+    
+    if (body.blockedPatterns !== undefined) {
+        const blockedPatterns = typeof body.blockedPatterns === 'string' ? [body.blockedPatterns] : body.blockedPatterns;
+        if (!Array.isArray(blockedPatterns) || blockedPatterns.length > 50 ||
+            blockedPatterns.some(pattern => typeof pattern !== 'string' || !pattern || pattern.length > 200)) {
+            return { error: 'blockedPatterns must be a string or an array of at most 50 non-empty strings of at most 200 characters' };
+        }
+        // Patterns run on every message, so they are compiled here once and must not backtrack badly
+        for (const pattern of blockedPatterns) {
+            const unsafe = findUnsafeRegex(pattern);
+            if (unsafe) {
+                return { error: `blockedPatterns contains a pattern that is too complex (${pattern}): ${unsafe}` };
+            }
+            try {
+                moderationRegex(pattern);
+            } catch (error) {
+                return { error: `blockedPatterns contains an invalid regular expression: ${error.message}` };
+            }
+        }
+        options.blockedPatterns = blockedPatterns;
+    }
+    
+    if (body.maxReplyLength !== undefined) {
+        const maxReplyLength = body.maxReplyLength === null ? null : Number(body.maxReplyLength);
+        if (maxReplyLength !== null && (!Number.isInteger(maxReplyLength) || maxReplyLength < 1 || maxReplyLength > 20000)) {
+            return { error: 'maxReplyLength must be a whole number between 1 and 20000, or null for no cap' };
+        }
+        options.maxReplyLength = maxReplyLength;
+    }
+    
+    if (body.blockedMessage !== undefined) {
+        if (typeof body.blockedMessage !== 'string' || body.blockedMessage.length > 500) {
+            return { error: 'blockedMessage must be a string of at most 500 characters (empty to stay silent)' };
+        }
+        options.blockedMessage = body.blockedMessage;
+    }
+    
+    if (body.streamReplies !== undefined) {
+        options.streamReplies = parseFlag(body.streamReplies);
+        if (options.streamReplies === null) {
+            return { error: 'streamReplies must be true or false' };
+        }
+    }
+    
+    if (body.memoryMode !== undefined) {
+        if (!AI_MEMORY_MODES.includes(body.memoryMode)) {
+            return { error: `memoryMode must be one of: ${AI_MEMORY_MODES.join(', ')}` };
+        }
+        options.memoryMode = body.memoryMode;
+    }
+    
+    if (body.memoryTurnLimit !== undefined) {
+        const memoryTurnLimit = Number(body.memoryTurnLimit);
+        if (!Number.isInteger(memoryTurnLimit) || memoryTurnLimit < 4 || memoryTurnLimit > 200) {
+            return { error: 'memoryTurnLimit must be a whole number between 4 and 200' };
+        }
+        options.memoryTurnLimit = memoryTurnLimit;
+    }
+    
+    if (body.slashCommands !== undefined) {
+        options.slashCommands = parseFlag(body.slashCommands);
+        if (options.slashCommands === null) {
+            return { error: 'slashCommands must be true or false' };
+        }
+    }
+    
+    if (options.triggerMode === 'keyword' && options.keywords.length === 0) {
+        return { error: 'triggerMode "keyword" needs at least one keyword' };
+    }
+    
+    return { options };
+};
+
+// Whether a message should get an AI reply under the channel's trigger mode
+const shouldReplyToMessage = (client, config, message) => {
+    switch (config.triggerMode) {
+        case 'mention':
+            return message.mentions.users.has(client.user.id);
+        case 'reply':
+            return Boolean(message.reference) && message.mentions.repliedUser?.id === client.user.id;
+        case 'keyword': {
+            const content = message.content.toLowerCase();
+            return config.keywords.some(keyword => content.includes(keyword));
+        }
+        default:
+            return true;
+    }
+};
+
+// Identify a bot token without keeping it in plain text
+const hashToken = (botToken) => crypto.createHash('sha256').update(botToken).digest('hex');
+
+// AI providers. Pollinations is always available; more can be added with the
+// AI_PROVIDERS environment variable, a JSON object of name -> { type: "openai",
+// baseUrl, apiKey, defaultModel, models, streaming }. Any OpenAI-compatible server works,
+// including local ones such as Ollama (http://localhost:11434/v1) or llama.cpp. Set
+// streaming to false for servers that can't stream replies.
+const AI_REQUEST_TIMEOUT = parseInt(process.env.AI_REQUEST_TIMEOUT, 10) || 60 * 1000;
+// How long a streamed reply may go without sending anything before it is abandoned
+const AI_STREAM_IDLE_TIMEOUT = parseInt(process.env.AI_STREAM_IDLE_TIMEOUT, 10) || 30 * 1000;
+// A malformed AI_PROVIDERS value is logged and ignored instead of stopping the server
+const loadCustomProviders = () => {
+    try {
+        const providers = JSON.parse(process.env.AI_PROVIDERS || '{}');
+        if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+            throw new Error('expected a JSON object of name -> provider');
+        }
+        return providers;
+    } catch (error) {
+        console.error('Ignoring AI_PROVIDERS, it could not be parsed:', error.message);
+        return {};
+    }
+};
+const AI_PROVIDERS = {
+    pollinations: {
+        type: 'pollinations',
+        baseUrl: 'https://text.pollinations.ai',
+        defaultModel: 'openai',
+        models: ['openai']
+    },
+    ...loadCustomProviders()
+};
+
+// Chat message names must match ^[a-zA-Z0-9_-]{1,64}$, so drop any that don't
+const toChatMessages = (messages) => messages.map(({ role, content, name }) => (
+    name && /^[a-zA-Z0-9_-]{1,64}$/.test(name) ? { role, content, name } : { role, content }
+));
+
+// Replies are passed around as text, even when a provider hands back parsed JSON
+const responseText = (data) => (typeof data === 'string' ? data : JSON.stringify(data));
+
+// Read an OpenAI-style server-sent event stream, calling onDelta with the text so far
+// after every piece. Resolves with the full text, or rejects if the stream stalls.
+const readChatCompletionStream = (stream, onDelta) => new Promise((resolve, reject) => {
+    let buffer = '';
+    let text = '';
+    
+    // The request timeout only covers the response headers, so a stalled body needs its own
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            stream.destroy(new Error(`AI stream sent nothing for ${AI_STREAM_IDLE_TIMEOUT / 1000} seconds`));
+        }, AI_STREAM_IDLE_TIMEOUT);
+    };
+    resetIdleTimer();
+    
+    stream.setEncoding('utf8');
+    stream.on('data', (data) => {
+        resetIdleTimer();
+        buffer += data;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') continue;
+            
+            try {
+                const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onDelta(text);
+                }
+            } catch (error) {
+                console.error('Skipping malformed stream event');
+            }
+        }
+    });
+    stream.on('end', () => {
+        clearTimeout(idleTimer);
+        resolve(text);
+    });
+    stream.on('error', (error) => {
+        clearTimeout(idleTimer);
+        reject(error);
+    });
+});
+
+// Stream a chat completion from an OpenAI-compatible endpoint
+const streamChatCompletion = async (url, body, headers, onDelta) => {
+    const response = await axios.post(url, { ...body, stream: true }, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        responseType: 'stream',
+        timeout: AI_REQUEST_TIMEOUT
+    });
+    return readChatCompletionStream(response.data, onDelta);
+};
+
+// Function to make AI request through Pollinations
+const callPollinationsAPI = async (messages, { model, jsonMode, onDelta }, provider = AI_PROVIDERS.pollinations) => {
+    try {
+        // Streaming goes through Pollinations' OpenAI-compatible endpoint
+        if (onDelta && provider.streaming !== false) {
+            return await streamChatCompletion(`${provider.baseUrl}/openai`, {
+                model: model,
+                messages: toChatMessages(messages),
+                ...(jsonMode && { response_format: { type: 'json_object' } })
+            }, {}, onDelta);
+        }
+        
+        const response = await axios.post(`${provider.baseUrl}/`, {
+            messages: toChatMessages(messages),
+            model: model,
+            jsonMode: jsonMode
+        }, {
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            timeout: AI_REQUEST_TIMEOUT
+        });
+        
+        return responseText(response.data);
+    } catch (error) {
+        console.log(`Pollinations API Error: ${error}`);
+        throw error;
+    }
+};
+
+// Function to make AI request through an OpenAI-compatible chat completions endpoint
+const callOpenAICompatibleAPI = async (messages, { model, jsonMode, onDelta }, provider) => {
+    try {
+        const url = `${provider.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+        const body = {
+            model: model,
+            messages: toChatMessages(messages),
+            ...(jsonMode && { response_format: { type: 'json_object' } })
+        };
+        const authHeaders = provider.apiKey ? { Authorization: `Bearer ${provider.apiKey}` } : {};
+        
+        if (onDelta && provider.streaming !== false) {
+            return await streamChatCompletion(url, body, authHeaders, onDelta);
+        }
+        
+        const response = await axios.post(url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders
+            },
+            timeout: AI_REQUEST_TIMEOUT
+        });
+        
+        return responseText(response.data.choices[0].message.content);
+    } catch (error) {
+        console.log(`OpenAI-compatible API Error (${provider.baseUrl}): ${error}`);
+        throw error;
+    }
+};
+
+const AI_PROVIDER_ADAPTERS = {
+    pollinations: callPollinationsAPI,
+    openai: callOpenAICompatibleAPI
+};
+
+// Send a chat to the provider configured for a channel or request. With onDelta the
+// reply is streamed, when the provider can, and onDelta gets the text so far.
+const callAIProvider = (messages, { provider = 'pollinations', model, jsonMode, onDelta = null }) => {
+    const providerConfig = AI_PROVIDERS[provider];
+    if (!providerConfig) {
+        throw new Error(`AI provider "${provider}" is not configured`);
+    }
+    
+    const adapter = AI_PROVIDER_ADAPTERS[providerConfig.type];
+    if (!adapter) {
+        throw new Error(`AI provider "${provider}" has unknown type "${providerConfig.type}"`);
+    }
+    
+    return adapter(messages, { model: model || providerConfig.defaultModel, jsonMode, onDelta }, providerConfig);
+};
+
+// List a provider's models, asking the provider when it can tell us
+const listProviderModels = async (providerConfig) => {
+    try {
+        if (providerConfig.type === 'pollinations') {
+            const response = await axios.get(`${providerConfig.baseUrl}/models`, { timeout: 5000 });
+            return response.data.map(model => (typeof model === 'string' ? model : model.name)).filter(Boolean);
+        }
+        
+        const response = await axios.get(`${providerConfig.baseUrl.replace(/\/+$/, '')}/models`, {
+            headers: providerConfig.apiKey ? { Authorization: `Bearer ${providerConfig.apiKey}` } : {},
+            timeout: 5000
+        });
+        return response.data.data.map(model => model.id);
+    } catch (error) {
+        // Fall back to the configured list when the provider can't be reached
+        return null;
+    }
+};
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+const DISCORD_EMBED_LIMIT = 4096;
+const SEND_RETRY_ATTEMPTS = 3;
+
+// The code fence still open at the end of some text (e.g. ```js), or null. Only a short
+// language tag is carried over; anything longer is dropped so the fence stays small.
+const openCodeFence = (text) => {
+    let fence = null;
+    for (const line of text.split('\n')) {
+        const match = line.match(/^\s*```(\S*)/);
+        if (match) fence = fence ? null : '```' + (/^[\w+-]{1,20}$/.test(match[1]) ? match[1] : '');
+    }
+    return fence;
+};
+
+// Where to cut text so a chunk fits the limit, preferring a paragraph break, then a
+// line break, then the end of a sentence, then a space. Cuts in the first half of the
+// window are skipped so chunks don't come out tiny.
+const findSplitPoint = (text, limit) => {
+    const window = text.slice(0, limit);
+    const minimum = Math.floor(limit / 2);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+    
+    const candidates = [
+        window.lastIndexOf('\n\n'),
+        window.lastIndexOf('\n'),
+        sentenceEnd === -1 ? -1 : sentenceEnd + 1,
+        window.lastIndexOf(' ')
+    ];
+    return candidates.find(index => index >= minimum) || limit;
+};
+
+// Split text into chunks of at most `limit` characters. A code block that spans a cut
+// is closed at the end of one chunk and reopened, with its language, in the next.
+const splitMessage = (content, limit = DISCORD_MESSAGE_LIMIT) => {
+    const chunks = [];
+    let remaining = content.trim();
+    let carriedFence = null;
+    
+    while (remaining) {
+        const text = carriedFence ? `${carriedFence}\n${remaining}` : remaining;
+        if (text.length <= limit) {
+            chunks.push(text);
+            break;
+        }
+        
+        // Leave room to close a code block that is still open where we cut. Every cut
+        // has to get past the reopened fence, otherwise the text would never shrink.
+        const carriedLength = carriedFence ? carriedFence.length + 1 : 0;
+        let cut = findSplitPoint(text, limit - 4);
+        if (cut <= carriedLength) cut = limit - 4;
+        if (cut <= carriedLength) {
+            carriedFence = null;
+            continue;
+        }
+        let chunk = text.slice(0, cut).trimEnd();
+        remaining = text.slice(cut).replace(/^\n+|^ /, '');
+        
+        carriedFence = openCodeFence(chunk);
+        if (carriedFence) chunk += '\n```';
+        chunks.push(chunk);
+    }
+    
+    return chunks;
+};
+
+// Send a message, retrying a few times with a growing delay. Requests Discord
+// refused outright (missing access, invalid content...) are not retried.
+const sendWithRetry = async (targetChannel, payload) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await targetChannel.send(payload);
+        } catch (error) {
+            const retryable = !error.status || error.status >= 500;
+            if (!retryable || attempt >= SEND_RETRY_ATTEMPTS) throw error;
+            await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+        }
+    }
+};
+
+// Build the Discord payloads for a reply. Short replies are always plain text; long
+// ones are split into messages, embeds or a single .txt attachment.
+const buildReplyPayloads = (content, longReplyMode) => {
+    if (content.length <= DISCORD_MESSAGE_LIMIT || longReplyMode === 'split') {
+        return splitMessage(content).map(chunk => ({ content: chunk, preview: chunk }));
+    }
+    
+    if (longReplyMode === 'file') {
+        return [{
+            content: 'The answer was too long for a message, so it is attached as a file.',
+            files: [{ attachment: Buffer.from(content, 'utf8'), name: 'response.txt' }],
+            preview: content
+        }];
+    }
+    
+    return splitMessage(content, DISCORD_EMBED_LIMIT).map(chunk => ({
+        embeds: [{ description: chunk, color: 0x5865F2 }],
+        preview: chunk
+    }));
+};
+
+// Send an AI reply to Discord. Options: longReplyMode ('split', 'embed' or 'file') and
+// replyTo, a message the first chunk should reply to.
+const sendChunkedMessage = async (content, targetChannel, { longReplyMode = 'split', replyTo = null } = {}) => {
+    const payloads = buildReplyPayloads(content, longReplyMode);
+    
+    const sentMessages = [];
+    const failedChunks = [];
+    for (const [index, { preview, ...payload }] of payloads.entries()) {
+        payload.allowedMentions = AI_ALLOWED_MENTIONS;
+        if (index === 0 && replyTo) {
+            // Still send the reply if the triggering message was deleted in the meantime
+            payload.reply = { messageReference: replyTo.id, failIfNotExists: false };
+        }
+        
+        try {
+            const message = await sendWithRetry(targetChannel, payload);
+            sentMessages.push({
+                id: message.id,
+                content: preview.substring(0, 100) + (preview.length > 100 ? '...' : '')
+            });
+            
+            if (payloads.length > 1) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        } catch (error) {
+            console.error('Failed to send message chunk:', error);
+            failedChunks.push({ index: index, error: error.message });
+        }
+    }
+    
+    return { chunks: payloads.length, sentMessages, failedChunks };
+};
+
+// Discord allows about five message edits per five seconds in a channel
+const STREAM_EDIT_INTERVAL = 1500;
+// The typing indicator runs out after about 10 seconds
+const TYPING_REFRESH_INTERVAL = 8000;
+
+// Show the typing indicator until the returned function is called
+const keepTyping = (targetChannel) => {
+    const sendTyping = () => targetChannel.sendTyping().catch(() => {});
+    sendTyping();
+    const timer = setInterval(sendTyping, TYPING_REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+};
+
+// A reply that is posted as a placeholder and then edited as the text streams in.
+// Edits are throttled, and once the text outgrows one message the finished part
+// stays put and the rest continues in a new message.
+const createStreamedReply = (targetChannel, replyTo = null) => {
+    const posted = []; // { message, content }
+    let latest = '';
+    let lastEditAt = 0;
+    let timer = null;
+    let work = Promise.resolve();
+    let discarded = null;
+    
+    const render = async (text) => {
+        for (const [index, chunk] of splitMessage(text || '…').entries()) {
+            const existing = posted[index];
+            if (existing && existing.content === chunk) continue;
+            
+            const payload = { content: chunk, allowedMentions: AI_ALLOWED_MENTIONS };
+            try {
+                if (existing) {
+                    await existing.message.edit(payload);
+                    existing.content = chunk;
+                } else {
+                    if (index === 0 && replyTo) {
+                        payload.reply = { messageReference: replyTo.id, failIfNotExists: false };
+                    }
+                    posted.push({ message: await sendWithRetry(targetChannel, payload), content: chunk });
+                }
+            } catch (error) {
+                console.error('Failed to update streamed reply:', error);
+                break; // Later chunks would land in the wrong message
+            }
+        }
+    };
+    
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        lastEditAt = Date.now();
+        const text = latest;
+        work = work.then(() => (discarded ? null : render(text)));
+        return work;
+    };
+    
+    return {
+        start: () => flush(),
+        update: (text) => {
+            latest = text;
+            if (!timer && !discarded) {
+                timer = setTimeout(flush, Math.max(0, lastEditAt + STREAM_EDIT_INTERVAL - Date.now()));
+            }
+        },
+        finish: async (text) => {
+            latest = text;
+            await flush();
+            return {
+                chunks: posted.length,
+                sentMessages: posted.map(({ message, content }) => ({
+                    id: message.id,
+                    content: content.substring(0, 100) + (content.length > 100 ? '...' : '')
+                })),
+                failedChunks: []
+            };
+        },
+        // Take back everything posted so far
+        discard: () => {
+            if (!discarded) {
+                clearTimeout(timer);
+                discarded = work.then(() => Promise.all(posted.map(({ message }) => message.delete().catch(() => {}))));
+            }
+            return discarded;
+        }
+    };
+};
+
+// Get an AI reply and post it, streamed into the channel when the config asks for it.
+// Replies that break a moderation rule are never left in the channel; the caller gets
+// { response, violation } and decides how to report it.
+const deliverAiReply = async (messages, config, targetChannel, { replyTo = null, moderation = config } = {}) => {
+    const stopTyping = keepTyping(targetChannel);
+    
+    try {
+        if (!config.streamReplies) {
+            const response = await callAIProvider(messages, config);
+            stopTyping();
+            
+            const violation = findModerationViolation(response, moderation);
+            if (violation) return { response, violation };
+            
+            const reply = sanitizeAiReply(response, moderation);
+            const result = await sendChunkedMessage(reply, targetChannel, { longReplyMode: config.longReplyMode, replyTo });
+            return { response, reply, result };
+        }
+        
+        const streamed = createStreamedReply(targetChannel, replyTo);
+        streamed.start();
+        
+        let violation = null;
+        let response;
+        try {
+            response = await callAIProvider(messages, {
+                ...config,
+                onDelta: (text) => {
+                    stopTyping();
+                    if (violation) return;
+                    violation = findModerationViolation(text, moderation);
+                    if (violation) {
+                        streamed.discard();
+                    } else {
+                        streamed.update(sanitizeAiReply(text, moderation));
+                    }
+                }
+            });
+        } catch (error) {
+            await streamed.discard();
+            throw error;
+        }
+        
+        violation = violation || findModerationViolation(response, moderation);
+        if (violation) {
+            await streamed.discard();
+            return { response, violation };
+        }
+        
+        // Long answers meant for an embed or a file are re-sent that way once complete
+        const reply = sanitizeAiReply(response, moderation);
+        if (reply.length > DISCORD_MESSAGE_LIMIT && config.longReplyMode !== 'split') {
+            await streamed.discard();
+            const result = await sendChunkedMessage(reply, targetChannel, { longReplyMode: config.longReplyMode, replyTo });
+            return { response, reply, result };
+        }
+        
+        return { response, reply, result: await streamed.finish(reply) };
+        
+    } finally {
+        stopTyping();
+    }
+};
+
+// Speaker names as the chat APIs accept them in the name field
+const speakerName = (user) => user.username
+    .replace(/\s+/g, '_')
+    .replace(/[^\w\s]/gi, '');
+
+// The system prompt for a channel: its own prompt, or its persona's
+const systemPromptFor = (config) => config.systemPrompt || AI_PERSONAS[config.persona] || AI_PERSONAS.friendly;
+
+// Mentions of the bot are how people address it, not part of what they said
+const botMentionPattern = (client) => new RegExp(`<@!?${client.user.id}>`, 'g');
+
+// Rough token estimate (about four characters per token), close enough for budgeting context
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Turn a Discord message into a chat turn. When the channel tracks everyone in the
+// conversation, user turns also carry a "Name: " prefix since not every model reads
+// the name field.
+const toConversationTurn = (client, config, msg, botMention) => {
+    if (msg.author.id === client.user.id) {
+        return { role: 'assistant', content: msg.content, name: speakerName(msg.author) };
+    }
+    
+    const content = msg.content.replace(botMention, '').trim();
+    return {
+        role: 'user',
+        content: config.contextMode === 'all'
+            ? `${msg.member?.displayName || msg.author.username}: ${content}`
+            : content,
+        name: speakerName(msg.author)
+    };
+};
+
+// Walk the reply chain above a message, oldest first
+const fetchReplyChain = async (message, depth) => {
+    const chain = [];
+    let current = message;
+    
+    while (chain.length < depth && current.reference?.messageId) {
+        try {
+            current = await current.fetchReference();
+        } catch (error) {
+            break; // Deleted or inaccessible, the chain ends here
+        }
+        chain.unshift(current);
+    }
+    
+    return chain;
+};
+
+// Drop the oldest turns until the conversation fits the channel's context budget.
+// The newest turn is always kept, even when it alone is over budget.
+const trimToContextBudget = (turns, config) => {
+    if (!config.contextBudget) return turns;
+    
+    const measure = config.contextBudgetUnit === 'tokens' ? estimateTokens : text => text.length;
+    const kept = [];
+    let used = 0;
+    
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const size = measure(turns[i].content);
+        if (kept.length > 0 && used + size > config.contextBudget) break;
+        used += size;
+        kept.unshift(turns[i]);
+    }
+    
+    return kept;
+};
+
+// Build the chat turns for a reply: recent channel history (only the author's messages,
+// or every human's with contextMode "all") or, with memoryMode "local", the stored memory
+// and its summary. Whatever the message replies to and the thread's starter message are
+// added, and the result is trimmed to the context budget.
+const buildConversationLog = async (client, config, message) => {
+    const botMention = botMentionPattern(client);
+    const isUsable = (msg) => {
+        if (!msg.content) return false;
+        if (config.ignorePrefix && msg.content.startsWith(config.ignorePrefix)) return false;
+        return msg.author.id === client.user.id || !msg.author.bot;
+    };
+    
+    const included = new Map();
+    const memory = config.memoryMode === 'local' ? getConversationMemory(config, message) : null;
+    
+    if (!memory) {
+        const history = await message.channel.messages.fetch({ limit: config.historyLimit });
+        history.forEach((msg) => {
+            if (!isUsable(msg)) return;
+            if (config.contextMode !== 'all' && msg.author.id !== client.user.id && msg.author.id !== message.author.id) return;
+            included.set(msg.id, msg);
+        });
+    }
+    
+    // Messages someone explicitly replied to are context whoever wrote them
+    const rememberedIds = new Set(memory ? memory.turns.map(turn => turn.messageId) : []);
+    const referenced = await fetchReplyChain(message, config.replyChainDepth);
+    if (message.channel.isThread()) {
+        const starter = await message.channel.fetchStarterMessage().catch(() => null);
+        if (starter) referenced.unshift(starter);
+    }
+    referenced.forEach((msg) => {
+        if (isUsable(msg) && !rememberedIds.has(msg.id)) included.set(msg.id, msg);
+    });
+    included.set(message.id, message);
+    
+    const turns = [
+        ...(memory ? memory.turns : []),
+        ...[...included.values()].map(msg => ({
+            ...toConversationTurn(client, config, msg, botMention),
+            at: msg.createdTimestamp
+        }))
+    ]
+        .sort((a, b) => a.at - b.at)
+        .map(({ role, content, name }) => ({ role, content, name }))
+        .filter(turn => turn.content);
+    
+    const conversationLog = [
+        { role: 'system', content: systemPromptFor(config) }
+    ];
+    if (memory && memory.summary) {
+        conversationLog.push({ role: 'system', content: `Summary of the conversation so far: ${memory.summary}` });
+    }
+    return [...conversationLog, ...trimToContextBudget(turns, config)];
+};
+
+// Conversation memory kept on the server for channels with memoryMode "local", so
+// context doesn't depend on re-reading Discord. Each channel or thread keeps one
+// conversation per user, or a shared one with contextMode "all", and the oldest turns
+// are rolled up into an AI-written summary once there are more than memoryTurnLimit.
+const aiMemoryStore = loadStore('ai-memory', {}); // channelId -> { guildId, parentId, tokenHash, conversations }
+const SHARED_MEMORY_KEY = 'channel';
+
+const memoryKey = (config, userId) => (config.contextMode === 'all' ? SHARED_MEMORY_KEY : userId);
+
+// The stored conversation a message belongs to, or an empty one
+const getConversationMemory = (config, message) => {
+    const channelMemory = aiMemoryStore[message.channel.id];
+    return (channelMemory && channelMemory.conversations[memoryKey(config, message.author.id)]) ||
+        { summary: null, turns: [] };
+};
+
+// Ask the channel's AI provider to fold turns into the running summary
+const summarizeTurns = (config, summary, turns) => {
+    const transcript = turns.map(turn => `${turn.role === 'assistant' ? 'Assistant' : turn.name || 'User'}: ${turn.content}`).join('\n');
+    
+    return callAIProvider([
+        {
+            role: 'system',
+            content: 'You summarize chat conversations for a chatbot\'s memory. Keep names, facts, preferences and open questions that later replies may need. Reply with the summary only, in at most 200 words.'
+        },
+        {
+            role: 'user',
+            content: `${summary ? `Summary so far:\n${summary}\n\n` : ''}New messages:\n${transcript}`
+        }
+    ], { provider: config.provider, model: config.model, jsonMode: false });
+};
+
+// Store a message and the bot's reply, summarizing older turns when the conversation gets long
+const rememberExchange = async (client, config, message, reply) => {
+    if (!aiMemoryStore[message.channel.id]) {
+        aiMemoryStore[message.channel.id] = {
+            guildId: config.guildId,
+            parentId: message.channel.isThread() ? message.channel.parentId : null,
+            tokenHash: aiSessionStore[config.channelId] ? aiSessionStore[config.channelId].tokenHash : null,
+            conversations: {}
+        };
+    }
+    
+    const conversations = aiMemoryStore[message.channel.id].conversations;
+    const key = memoryKey(config, message.author.id);
+    const memory = conversations[key] = conversations[key] || { summary: null, turns: [], summarizedTurns: 0 };
+    
+    memory.turns.push(
+        {
+            ...toConversationTurn(client, config, message, botMentionPattern(client)),
+            messageId: message.id,
+            at: message.createdTimestamp
+        },
+        { role: 'assistant', content: reply, name: speakerName(client.user), messageId: null, at: Date.now() }
+    );
+    memory.updatedAt = new Date();
+    
+    if (memory.turns.length > config.memoryTurnLimit) {
+        // Keep the newest half, in whole message/reply pairs
+        const keep = Math.floor(config.memoryTurnLimit / 4) * 2;
+        const older = memory.turns.slice(0, memory.turns.length - keep);
+        try {
+            memory.summary = await summarizeTurns(config, memory.summary, older);
+            memory.turns = memory.turns.slice(older.length);
+            memory.summarizedTurns += older.length;
+        } catch (error) {
+            console.error('Failed to summarize conversation memory:', error);
+            // Without a summary, drop the oldest turns rather than grow without bound
+            if (memory.turns.length > config.memoryTurnLimit * 2) {
+                memory.turns = memory.turns.slice(-config.memoryTurnLimit);
+            }
+        }
+    }
+    
+    return saveStore('ai-memory', aiMemoryStore);
+};
+
+// Memory of a channel and its threads, as [channelId, channelMemory] pairs
+const channelMemoryEntries = (channelId) => Object.entries(aiMemoryStore)
+    .filter(([id, channelMemory]) => id === channelId || channelMemory.parentId === channelId);
+
+// Forget a channel's memory, or just one user's part of it. Returns how many
+// conversations were removed.
+const clearChannelMemory = async (channelId, userId = null) => {
+    let cleared = 0;
+    for (const [id, channelMemory] of channelMemoryEntries(channelId)) {
+        if (userId) {
+            if (channelMemory.conversations[userId]) {
+                delete channelMemory.conversations[userId];
+                cleared++;
+            }
+            if (Object.keys(channelMemory.conversations).length > 0) continue;
+        } else {
+            cleared += Object.keys(channelMemory.conversations).length;
+        }
+        delete aiMemoryStore[id];
+    }
+    
+    await saveStore('ai-memory', aiMemoryStore);
+    return cleared;
+};
+
+// Moderation for AI channels. Inputs and outputs are checked against the channel's
+// blocked words and patterns, and replies never ping @everyone, @here or roles.
+const AI_ALLOWED_MENTIONS = { parse: ['users'], repliedUser: true };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compiled blocked words and patterns, shared by every channel that uses them.
+// Configs are stored as JSON, so they keep the source text and compile through here.
+const MODERATION_REGEX_CACHE_LIMIT = 1000;
+const moderationRegexes = new Map(); // "flags/source" -> RegExp
+const moderationRegex = (source, flags = 'i') => {
+    const key = `${flags}/${source}`;
+    let regex = moderationRegexes.get(key);
+    if (!regex) {
+        regex = new RegExp(source, flags);
+        if (moderationRegexes.size >= MODERATION_REGEX_CACHE_LIMIT) moderationRegexes.clear();
+        moderationRegexes.set(key, regex);
+    }
+    return regex;
+};
+
+// The first moderation rule some text breaks, or null
+const findModerationViolation = (text, config) => {
+    const blockedWord = config.blockedWords.find(word =>
+        moderationRegex(`(?<![\\p{L}\\p{N}_])${escapeRegExp(word)}(?![\\p{L}\\p{N}_])`, 'iu').test(text));
+    if (blockedWord) return `word "${blockedWord}"`;
+    
+    const blockedPattern = config.blockedPatterns.find(pattern => moderationRegex(pattern).test(text));
+    if (blockedPattern) return `pattern /${blockedPattern}/`;
+    
+    return null;
+};
+
+// Make an AI reply safe to post: defuse mass and role mentions and apply the length cap
+const sanitizeAiReply = (text, config) => {
+    let reply = text
+        .replace(/@(everyone|here)/gi, '@\u200b$1')
+        .replace(/<@&\d+>/g, '@role');
+    
+    if (config.maxReplyLength && reply.length > config.maxReplyLength) {
+        reply = reply.slice(0, config.maxReplyLength - 1).trimEnd() + '…';
+    }
+    return reply;
+};
+
+// Record blocked content in the audit log, readable through GET /auditlog?endpoint=AI moderation
+const logModerationBlock = ({ guildId, channelId, userId = null, direction, rule, text }) => {
+    console.warn(`AI moderation blocked ${direction} in channel ${channelId}: ${rule}`);
+    return writeAuditEntry({
+        id: crypto.randomUUID(),
+        guildId: guildId,
+        endpoint: 'AI moderation',
+        caller: userId ? `user ${userId}` : 'api',
+        body: {
+            channelId: channelId,
+            direction: direction,
+            rule: rule,
+            excerpt: text.substring(0, 200)
+        },
+        statusCode: null,
+        timestamp: new Date()
+    });
+};
+
+// Moderation rules for a channel. Rules passed with a request add to the ones of the
+// channel's active conversation, and the stricter length cap wins.
+const channelModeration = (channelId, options) => {
+    const session = activeClients.get(channelId)?.config;
+    if (!session) return options;
+    
+    const caps = [session.maxReplyLength, options.maxReplyLength].filter(Boolean);
+    return {
+        blockedWords: [...new Set([...session.blockedWords, ...options.blockedWords])],
+        blockedPatterns: [...new Set([...session.blockedPatterns, ...options.blockedPatterns])],
+        maxReplyLength: caps.length ? Math.min(...caps) : null,
+        blockedMessage: options.blockedMessage
+    };
+};
+
+// Rate limiting for AI replies. Cooldowns and queues only live in memory, while daily
+// usage is persisted so quotas still hold after a restart.
+const AI_QUEUE_LIMIT = parseInt(process.env.AI_QUEUE_LIMIT, 10) || 5;
+const AI_USAGE_RETENTION_DAYS = 30;
+const AI_LIMIT_NOTICE_INTERVAL = 60 * 1000;
+const AI_USAGE_SAVE_DELAY = 10 * 1000;
+const aiUsageStore = loadStore('ai-usage', {}); // day -> guildId -> { requests, limited, channels }
+const aiCooldowns = new Map(); // channelId:userId -> { lastRequestAt, noticeAt }
+const aiChannelQueues = new Map(); // channelId -> { tail, pending }
+let aiUsageSaveTimer = null;
+
+const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Today's usage for a guild, and for one of its channels
+const todaysUsage = (guildId, channelId) => {
+    const guildUsage = aiUsageStore[usageDay()]?.[guildId];
+    return {
+        guild: guildUsage?.requests || 0,
+        channel: guildUsage?.channels[channelId]?.requests || 0
+    };
+};
+
+// Why a request over the HTTP API is past today's quota, or null. Requests for a channel
+// with an active conversation share that conversation's limits.
+const dailyQuotaProblem = (guildId, channelId, options) => {
+    const limits = activeClients.get(channelId)?.config || options;
+    const usage = todaysUsage(guildId, channelId);
+    if ((limits.channelDailyLimit && usage.channel >= limits.channelDailyLimit) ||
+        (limits.guildDailyLimit && usage.guild >= limits.guildDailyLimit)) {
+        return `Today's AI quota is used up (channel: ${usage.channel}/${limits.channelDailyLimit || 'unlimited'}, server: ${usage.guild}/${limits.guildDailyLimit || 'unlimited'})`;
+    }
+    return null;
+};
+
+// Count an AI request against today's usage. Rate-limited messages are counted
+// separately under "limited".
+const recordAiUsage = (guildId, channelId, field = 'requests') => {
+    const day = usageDay();
+    const guilds = aiUsageStore[day] = aiUsageStore[day] || {};
+    const guildUsage = guilds[guildId] = guilds[guildId] || { requests: 0, limited: 0, channels: {} };
+    const channelUsage = guildUsage.channels[channelId] = guildUsage.channels[channelId] || { requests: 0, limited: 0 };
+    guildUsage[field]++;
+    channelUsage[field]++;
+    
+    const oldestDay = usageDay(new Date(Date.now() - AI_USAGE_RETENTION_DAYS * DAY_MS));
+    Object.keys(aiUsageStore)
+        .filter(storedDay => storedDay < oldestDay)
+        .forEach(storedDay => delete aiUsageStore[storedDay]);
+    
+    // Counts change on every message, spam included, so they are written in batches.
+    // The in-memory counts are what quotas check, a restart loses at most a few seconds.
+    if (!aiUsageSaveTimer) {
+        aiUsageSaveTimer = setTimeout(() => {
+            aiUsageSaveTimer = null;
+            saveStore('ai-usage', aiUsageStore);
+        }, AI_USAGE_SAVE_DELAY);
+    }
+};
+
+// Why a user can't get an AI reply right now, or null if they can. Requests queue up
+// per channel they were asked in, which for threads is the thread itself.
+const checkAiRateLimit = (config, userId, queueChannelId) => {
+    const cooldown = aiCooldowns.get(`${config.channelId}:${userId}`);
+    const cooldownEnds = cooldown ? cooldown.lastRequestAt + config.userCooldownSeconds * 1000 : 0;
+    if (cooldownEnds > Date.now()) {
+        return `Slow down a little! Please wait ${Math.ceil((cooldownEnds - Date.now()) / 1000)} more second(s) before asking again.`;
+    }
+    
+    const queue = aiChannelQueues.get(queueChannelId);
+    if (queue && queue.pending >= AI_QUEUE_LIMIT) {
+        return "I'm still catching up on other messages here, please try again in a moment.";
+    }
+    
+    const usage = todaysUsage(config.guildId, config.channelId);
+    if (config.channelDailyLimit && usage.channel >= config.channelDailyLimit) {
+        return "This channel has used up today's AI replies, please try again tomorrow.";
+    }
+    if (config.guildDailyLimit && usage.guild >= config.guildDailyLimit) {
+        return "This server has used up today's AI replies, please try again tomorrow.";
+    }
+    
+    return null;
+};
+
+// Start a user's cooldown, dropping cooldowns that ran out long ago
+const startAiCooldown = (config, userId) => {
+    const now = Date.now();
+    aiCooldowns.forEach((cooldown, key) => {
+        if (now - cooldown.lastRequestAt > 60 * 60 * 1000) aiCooldowns.delete(key);
+    });
+    
+    const key = `${config.channelId}:${userId}`;
+    aiCooldowns.set(key, { ...aiCooldowns.get(key), lastRequestAt: now });
+};
+
+// Tell a rate-limited user, at most once a minute so the notice doesn't become spam itself
+const sendRateLimitNotice = async (config, message, reason) => {
+    const key = `${config.channelId}:${message.author.id}`;
+    const cooldown = aiCooldowns.get(key) || { lastRequestAt: 0 };
+    if (cooldown.noticeAt && Date.now() - cooldown.noticeAt < AI_LIMIT_NOTICE_INTERVAL) return;
+    aiCooldowns.set(key, { ...cooldown, noticeAt: Date.now() });
+    
+    try {
+        await message.reply({ content: reason, allowedMentions: { repliedUser: false } });
+    } catch (error) {
+        console.error('Failed to send rate limit notice:', error);
+    }
+};
+
+// Run a channel's AI requests one at a time, in the order they arrived
+const enqueueChannelRequest = (channelId, task) => {
+    const queue = aiChannelQueues.get(channelId) || { tail: Promise.resolve(), pending: 0 };
+    aiChannelQueues.set(channelId, queue);
+    queue.pending++;
+    
+    const run = queue.tail.then(task);
+    queue.tail = run.catch(() => {}).finally(() => {
+        queue.pending--;
+        if (queue.pending === 0 && aiChannelQueues.get(channelId) === queue) {
+            aiChannelQueues.delete(channelId);
+        }
+    });
+    return run;
+};
+
+// JSON output for callers of /set-ai with returnJson. Schemas are checked with a small
+// built-in validator covering type, enum, const, properties, required,
+// additionalProperties, items, minItems/maxItems, minLength/maxLength, pattern,
+// minimum/maximum and anyOf.
+const JSON_SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const MAX_JSON_RETRIES = 5;
+
+const jsonType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+// Problems with a caller's schema itself, or null if we can use it
+const findSchemaProblem = (schema, path = 'schema') => {
+    if (jsonType(schema) !== 'object') return `${path} must be an object`;
+    
+    const types = schema.type === undefined ? [] : Array.isArray(schema.type) ? schema.type : [schema.type];
+    const unknownType = types.find(type => !JSON_SCHEMA_TYPES.includes(type));
+    if (unknownType !== undefined) return `${path}.type "${unknownType}" is not one of: ${JSON_SCHEMA_TYPES.join(', ')}`;
+    
+    if (schema.properties !== undefined && jsonType(schema.properties) !== 'object') return `${path}.properties must be an object`;
+    if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(key => typeof key !== 'string'))) {
+        return `${path}.required must be an array of property names`;
+    }
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) return `${path}.enum must be an array`;
+    if (schema.anyOf !== undefined && (!Array.isArray(schema.anyOf) || schema.anyOf.length === 0)) return `${path}.anyOf must be a non-empty array`;
+    
+    // Patterns run against whatever the AI writes, so they get the same limits as other user regexes
+    if (schema.pattern !== undefined) {
+        if (typeof schema.pattern !== 'string' || schema.pattern.length > 200) return `${path}.pattern must be a string of at most 200 characters`;
+        try {
+            new RegExp(schema.pattern);
+        } catch (error) {
+            return `${path}.pattern is not a valid regular expression: ${error.message}`;
+        }
+        const unsafe = findUnsafeRegex(schema.pattern);
+        if (unsafe) return `${path}.pattern is too complex: ${unsafe}`;
+    }
+    
+    const children = [
+        ...Object.entries(schema.properties || {}).map(([key, child]) => [child, `${path}.properties.${key}`]),
+        ...(jsonType(schema.items) === 'object' ? [[schema.items, `${path}.items`]] : []),
+        ...(jsonType(schema.additionalProperties) === 'object' ? [[schema.additionalProperties, `${path}.additionalProperties`]] : []),
+        ...(schema.anyOf || []).map((child, index) => [child, `${path}.anyOf[${index}]`])
+    ];
+    for (const [child, childPath] of children) {
+        const problem = findSchemaProblem(child, childPath);
+        if (problem) return problem;
+    }
+    return null;
+};
+
+// Check a value against a schema. Returns the problems found, empty when it matches.
+const validateJsonSchema = (value, schema, path = '$') => {
+    const actual = jsonType(value);
+    
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const typeMatches = types.some(type => type === actual || (type === 'integer' && Number.isInteger(value)));
+        if (!typeMatches) return [`${path} should be ${types.join(' or ')}, got ${actual}`];
+    }
+    
+    const errors = [];
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+    }
+    
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} should be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} should be at most ${schema.maxLength} characters`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) errors.push(`${path} should match /${schema.pattern}/`);
+    }
+    
+    if (actual === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+    
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+        if (jsonType(schema.items) === 'object') {
+            value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+    
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${path}.${key} is required`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (Object.hasOwn(properties, key)) {
+                errors.push(...validateJsonSchema(child, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (jsonType(schema.additionalProperties) === 'object') {
+                errors.push(...validateJsonSchema(child, schema.additionalProperties, `${path}.${key}`));
+            }
+        }
+    }
+    
+    if (schema.anyOf && !schema.anyOf.some(option => validateJsonSchema(value, option, path).length === 0)) {
+        errors.push(`${path} does not match any of the allowed shapes`);
+    }
+    
+    return errors;
+};
+
+// Pull the JSON out of an AI reply, which models sometimes wrap in a code block anyway
+const parseJsonReply = (text) => {
+    const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return JSON.parse(fenced ? fenced[1] : text.trim());
+};
+
+// Ask for JSON until the reply parses and matches the schema, telling the model what was
+// wrong after each failed attempt. Returns { data, output, attempts } on success and
+// { errors, output, attempts } once the retries run out.
+const generateJsonOutput = async (prompt, options, schema, maxRetries) => {
+    const instructions = schema
+        ? `Reply with a single JSON value only, without any other text or code fences. It must match this JSON schema:\n${JSON.stringify(schema)}`
+        : 'Reply with a single JSON value only, without any other text or code fences.';
+    const messages = [
+        { role: 'system', content: `${systemPromptFor(options)}\n\n${instructions}` },
+        { role: 'user', content: prompt }
+    ];
+    // Providers' JSON mode only produces objects
+    const jsonMode = !schema || schema.type === undefined || schema.type === 'object';
+    
+    let output = null;
+    let errors = [];
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+        output = await callAIProvider(messages, { ...options, jsonMode });
+        
+        let data;
+        try {
+            data = parseJsonReply(output);
+            errors = schema ? validateJsonSchema(data, schema) : [];
+        } catch (error) {
+            errors = [`The reply is not valid JSON: ${error.message}`];
+        }
+        if (errors.length === 0) return { data, output, attempts: attempt };
+        
+        messages.push(
+            { role: 'assistant', content: output },
+            { role: 'user', content: `That reply was rejected:\n- ${errors.slice(0, 10).join('\n- ')}\nReply again with only the corrected JSON.` }
+        );
+    }
+    
+    return { errors, output, attempts: maxRetries + 1 };
+};
+
+// Handle a message in a conversation channel
+const handleConversationMessage = async (client, config, message) => {
+    if (message.author.bot) return;
+    if (config.ignorePrefix && message.content.startsWith(config.ignorePrefix)) return;
+    if (!shouldReplyToMessage(client, config, message)) return;
+    
+    const inputViolation = findModerationViolation(message.content, config);
+    if (inputViolation) {
+        logModerationBlock({
+            guildId: config.guildId,
+            channelId: config.channelId,
+            userId: message.author.id,
+            direction: 'input',
+            rule: inputViolation,
+            text: message.content
+        });
+        if (config.blockedMessage) {
+            await message.reply({ content: config.blockedMessage, allowedMentions: { repliedUser: false } }).catch((error) => {
+                console.error('Failed to send moderation notice:', error);
+            });
+        }
+        return;
+    }
+    
+    const limitReason = checkAiRateLimit(config, message.author.id, message.channel.id);
+    if (limitReason) {
+        recordAiUsage(config.guildId, config.channelId, 'limited');
+        await sendRateLimitNotice(config, message, limitReason);
+        return;
+    }
+    
+    // Counted up front so messages waiting in the queue already use up the quota
+    startAiCooldown(config, message.author.id);
+    recordAiUsage(config.guildId, config.channelId);
+    
+    await enqueueChannelRequest(message.channel.id, async () => {
+        try {
+            const replyTo = config.replyToTrigger ? message : null;
+            const conversationLog = await buildConversationLog(client, config, message);
+            
+            const { response, reply, violation } = await deliverAiReply(conversationLog, config, message.channel, { replyTo });
+            if (!violation && config.memoryMode === 'local') {
+                await rememberExchange(client, config, message, reply);
+            }
+            if (violation) {
+                logModerationBlock({
+                    guildId: config.guildId,
+                    channelId: config.channelId,
+                    userId: message.author.id,
+                    direction: 'output',
+                    rule: violation,
+                    text: response
+                });
+                if (config.blockedMessage) {
+                    await sendChunkedMessage(config.blockedMessage, message.channel, { replyTo });
+                }
+            }
+            
+        } catch (error) {
+            console.error('Error in conversation handler:', error);
+            try {
+                await message.channel.send('Sorry, I encountered an error while processing your message.');
+            } catch (sendError) {
+                console.error('Failed to send error message:', sendError);
+            }
+        }
+    });
+};
+
+// Slash commands a conversation can register in its guild with slashCommands: /ask works
+// from any channel, the other two are for admins managing the channel they're used in
+const AI_SLASH_COMMANDS = [
+    {
+        name: 'ask',
+        description: 'Ask the AI a question',
+        options: [{
+            type: ApplicationCommandOptionType.String,
+            name: 'prompt',
+            description: 'What do you want to ask?',
+            required: true,
+            maxLength: 2000
+        }]
+    },
+    {
+        name: 'ai-reset',
+        description: 'Clear what the AI remembers in this channel, or stop it here',
+        defaultMemberPermissions: PermissionsBitField.Flags.ManageGuild,
+        options: [{
+            type: ApplicationCommandOptionType.Boolean,
+            name: 'stop',
+            description: 'Also stop the AI in this channel',
+            required: false
+        }]
+    },
+    {
+        name: 'ai-persona',
+        description: 'Change the AI persona in this channel',
+        defaultMemberPermissions: PermissionsBitField.Flags.ManageGuild,
+        options: [{
+            type: ApplicationCommandOptionType.String,
+            name: 'persona',
+            description: 'The persona to use',
+            required: true,
+            choices: Object.keys(AI_PERSONAS).map(persona => ({ name: persona, value: persona }))
+        }]
+    }
+];
+const AI_SLASH_COMMAND_NAMES = AI_SLASH_COMMANDS.map(command => command.name);
+
+// Register the AI slash commands in a guild. Creating a command that already exists
+// overwrites it, so this also updates older registrations. Failures (usually a bot
+// invited without the applications.commands scope) are reported rather than thrown.
+const registerAiCommands = async (guild) => {
+    try {
+        for (const command of AI_SLASH_COMMANDS) {
+            await guild.commands.create(command);
+        }
+        return { registeredCommands: AI_SLASH_COMMAND_NAMES };
+    } catch (error) {
+        return {
+            registeredCommands: [],
+            commandsError: `Slash commands could not be registered: ${error.message}`
+        };
+    }
+};
+
+// Remove the AI slash commands from a guild once none of the bot's conversations
+// there want them, leaving any other commands of the bot alone
+const releaseAiCommands = async (client, botToken, guildId) => {
+    const router = aiRouters.get(botToken);
+    if (router && [...router.channels.values()].some(config => config.guildId === guildId && config.slashCommands)) {
+        return;
+    }
+    
+    try {
+        const guild = await client.guilds.fetch(guildId);
+        const commands = await guild.commands.fetch();
+        for (const command of commands.values()) {
+            if (AI_SLASH_COMMAND_NAMES.includes(command.name)) await command.delete();
+        }
+    } catch (error) {
+        console.error('Failed to remove AI slash commands:', error);
+    }
+};
+
+// The conversation a slash command belongs to: the channel's own (or its thread
+// parent's), or for /ask elsewhere, the guild's conversation that registered the commands
+const findInteractionConfig = (router, interaction) => {
+    const channel = interaction.channel;
+    const own = router.channels.get(interaction.channelId) ||
+        (channel && channel.isThread() ? router.channels.get(channel.parentId) : null);
+    if (own) return { config: own, inAiChannel: true };
+    
+    const registering = [...router.channels.values()]
+        .find(config => config.guildId === interaction.guildId && config.slashCommands);
+    return { config: registering || null, inAiChannel: false };
+};
+
+// Admin slash commands go to the audit log like the HTTP routes do
+const logSlashCommand = (interaction, config, body) => writeAuditEntry({
+    id: crypto.randomUUID(),
+    guildId: interaction.guildId,
+    endpoint: `/${interaction.commandName}`,
+    caller: `user ${interaction.user.id}`,
+    body: { channelId: config.channelId, ...body },
+    statusCode: null,
+    timestamp: new Date()
+});
+
+// /ask: answer a question with the conversation's settings, limits and moderation
+const handleAskCommand = async (client, config, interaction) => {
+    const prompt = interaction.options.getString('prompt', true);
+    
+    const inputViolation = findModerationViolation(prompt, config);
+    if (inputViolation) {
+        logModerationBlock({
+            guildId: config.guildId,
+            channelId: config.channelId,
+            userId: interaction.user.id,
+            direction: 'input',
+            rule: inputViolation,
+            text: prompt
+        });
+        return interaction.reply({ content: config.blockedMessage || "Sorry, I can't help with that.", flags: MessageFlags.Ephemeral });
+    }
+    
+    const limitReason = checkAiRateLimit(config, interaction.user.id, interaction.channelId);
+    if (limitReason) {
+        recordAiUsage(config.guildId, config.channelId, 'limited');
+        return interaction.reply({ content: limitReason, flags: MessageFlags.Ephemeral });
+    }
+    
+    startAiCooldown(config, interaction.user.id);
+    recordAiUsage(config.guildId, config.channelId);
+    
+    // Interactions must be acknowledged within three seconds, long before the AI answers
+    await interaction.deferReply();
+    
+    await enqueueChannelRequest(interaction.channelId, async () => {
+        const response = await callAIProvider([
+            { role: 'system', content: systemPromptFor(config) },
+            { role: 'user', content: prompt, name: speakerName(interaction.user) }
+        ], config);
+        
+        const outputViolation = findModerationViolation(response, config);
+        if (outputViolation) {
+            logModerationBlock({
+                guildId: config.guildId,
+                channelId: config.channelId,
+                userId: interaction.user.id,
+                direction: 'output',
+                rule: outputViolation,
+                text: response
+            });
+            return interaction.editReply({ content: config.blockedMessage || "Sorry, I can't help with that." });
+        }
+        
+        const [first, ...rest] = buildReplyPayloads(sanitizeAiReply(response, config), config.longReplyMode);
+        const { preview, ...firstPayload } = first;
+        await interaction.editReply({ ...firstPayload, allowedMentions: AI_ALLOWED_MENTIONS });
+        for (const { preview: restPreview, ...payload } of rest) {
+            await interaction.followUp({ ...payload, allowedMentions: AI_ALLOWED_MENTIONS });
+        }
+    });
+};
+
+// /ai-reset: wipe the channel's memory, and with stop, end the conversation there too
+const handleResetCommand = async (router, botToken, config, interaction) => {
+    const stop = interaction.options.getBoolean('stop') || false;
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    
+    const cleared = await clearChannelMemory(config.channelId);
+    if (stop) {
+        detachConversation(config.channelId);
+        await removeAiSession(config.channelId);
+        if (config.slashCommands) await releaseAiCommands(router.client, botToken, config.guildId);
+    }
+    logSlashCommand(interaction, config, { stop: stop, clearedConversations: cleared });
+    
+    await interaction.editReply({
+        content: stop
+            ? `The AI has been stopped in <#${config.channelId}> and its memory was cleared.`
+            : `Cleared ${cleared} stored conversation(s) in <#${config.channelId}>. The AI keeps running.`
+    });
+};
+
+// /ai-persona: switch the channel's persona. A custom system prompt would override
+// the persona, so it is dropped.
+const handlePersonaCommand = async (router, botToken, config, interaction) => {
+    const persona = interaction.options.getString('persona', true);
+    const updatedConfig = { ...config, persona: persona, systemPrompt: null };
+    
+    attachConversation(router.client, botToken, updatedConfig);
+    await saveAiSession(botToken, updatedConfig);
+    logSlashCommand(interaction, config, { persona: persona });
+    
+    await interaction.reply({
+        content: `The AI in <#${config.channelId}> now uses the ${persona} persona.`,
+        flags: MessageFlags.Ephemeral
+    });
+};
+
+// Route an AI slash command to its handler
+const handleAiInteraction = async (router, botToken, interaction) => {
+    if (!interaction.isChatInputCommand() || !AI_SLASH_COMMAND_NAMES.includes(interaction.commandName)) return;
+    
+    try {
+        const { config, inAiChannel } = findInteractionConfig(router, interaction);
+        if (!config || (!inAiChannel && interaction.commandName !== 'ask')) {
+            return await interaction.reply({
+                content: config ? 'There is no AI conversation in this channel.' : 'The AI is not set up in this server.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+        
+        switch (interaction.commandName) {
+            case 'ask':
+                return await handleAskCommand(router.client, config, interaction);
+            case 'ai-reset':
+                return await handleResetCommand(router, botToken, config, interaction);
+            case 'ai-persona':
+                return await handlePersonaCommand(router, botToken, config, interaction);
+        }
+    } catch (error) {
+        console.error('Error in AI slash command:', error);
+        const content = 'Sorry, I encountered an error while processing that command.';
+        try {
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content });
+            } else {
+                await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+            }
+        } catch (replyError) {
+            console.error('Failed to send error message:', replyError);
+        }
+    }
+};
+
+// Add a channel to the bot's AI router, or update its config if it is already active.
+// The router takes its own pool reference, so callers release theirs as usual.
+const attachConversation = (client, botToken, config) => {
+    const existing = activeClients.get(config.channelId);
+    
+    // A channel moving to a different bot leaves its old router first
+    if (existing && existing.botToken !== botToken) {
+        detachConversation(config.channelId);
+    }
+    
+    let router = aiRouters.get(botToken);
+    if (!router) {
+        router = { client: client, channels: new Map(), listener: null, interactionListener: null };
+        router.listener = async (message) => {
+            let channelConfig = router.channels.get(message.channel.id);
+            // Threads under an AI channel carry on with the parent channel's settings
+            if (!channelConfig && message.channel.isThread()) {
+                const parentConfig = router.channels.get(message.channel.parentId);
+                if (parentConfig?.includeThreads) channelConfig = parentConfig;
+            }
+            if (!channelConfig) return;
+            await handleConversationMessage(router.client, channelConfig, message);
+        };
+        
+        router.interactionListener = (interaction) => handleAiInteraction(router, botToken, interaction);
+        
+        client.on('messageCreate', router.listener);
+        client.on('interactionCreate', router.interactionListener);
+        retainClient(client);
+        aiRouters.set(botToken, router);
+    }
+    
+    const updated = router.channels.has(config.channelId);
+    router.channels.set(config.channelId, config);
+    
+    // Store the client and config for this channel
+    activeClients.set(config.channelId, {
+        client: router.client,
+        guildId: config.guildId,
+        botToken: botToken,
+        config: config,
+        startedAt: updated ? existing.startedAt : new Date()
+    });
+    aiSessionErrors.delete(config.channelId);
+    
+    return updated ? 'updated' : 'added';
+};
+
+// Move a bot's AI router onto the pool's current client. The pool retires a client when a
+// request needs more intents, and the router must not keep the old session alive. A client
+// without the AI intents couldn't see messages, so the router stays where it is then.
+const moveAiRouter = (botToken, client, intents) => {
+    const router = aiRouters.get(botToken);
+    if (!router || router.client === client || !intents.has(AI_INTENTS)) return;
+    
+    const previous = router.client;
+    previous.off('messageCreate', router.listener);
+    previous.off('interactionCreate', router.interactionListener);
+    client.on('messageCreate', router.listener);
+    client.on('interactionCreate', router.interactionListener);
+    retainClient(client);
+    router.client = client;
+    
+    for (const activeClient of activeClients.values()) {
+        if (activeClient.botToken === botToken) activeClient.client = client;
+    }
+    releaseClient(previous);
+};
+
+// Remove a channel from its router; the router's connection goes back to the
+// pool once its last channel is gone
+const detachConversation = (channelId) => {
+    const activeClient = activeClients.get(channelId);
+    if (!activeClient) return false;
+    
+    activeClients.delete(channelId);
+    
+    const router = aiRouters.get(activeClient.botToken);
+    if (router) {
+        router.channels.delete(channelId);
+        if (router.channels.size === 0) {
+            aiRouters.delete(activeClient.botToken);
+            router.client.off('messageCreate', router.listener);
+            router.client.off('interactionCreate', router.interactionListener);
+            releaseClient(router.client);
+        }
+    }
+    
+    return true;
+};
+
+// Save a conversation so it is restored on the next boot
+const saveAiSession = (botToken, config) => {
+    aiSessionStore[config.channelId] = {
+        ...config,
+        token: encryptSecret(botToken),
+        tokenHash: hashToken(botToken),
+        createdAt: aiSessionStore[config.channelId] ? aiSessionStore[config.channelId].createdAt : new Date()
+    };
+    return saveStore('ai-sessions', aiSessionStore);
+};
+
+// Forget a saved conversation
+const removeAiSession = (channelId) => {
+    aiSessionErrors.delete(channelId);
+    if (!aiSessionStore[channelId]) return Promise.resolve();
+    delete aiSessionStore[channelId];
+    return saveStore('ai-sessions', aiSessionStore);
+};
+
+// Bring back every saved conversation after a restart. Sessions that fail stay
+// saved so a later restart can try again, and show up as failed in /ai/sessions.
+const restoreAiSessions = async () => {
+    for (const session of Object.values(aiSessionStore)) {
+        const { token, tokenHash, createdAt, ...savedConfig } = session;
+        // Sessions saved by older versions lack newer options
+        const config = { ...DEFAULT_CONVERSATION_OPTIONS, ...savedConfig };
+        
+        try {
+            const botToken = decryptSecret(token);
+            const client = await acquireClient(botToken, AI_INTENTS);
+            
+            try {
+                const guild = await client.guilds.fetch(config.guildId);
+                await guild.channels.fetch(config.channelId);
+                attachConversation(client, botToken, config);
+            } finally {
+                releaseClient(client);
+            }
+            
+            console.log(`Restored AI conversation in channel ${config.channelId}`);
+        } catch (error) {
+            aiSessionErrors.set(config.channelId, error.message);
+            console.error(`Failed to restore AI conversation in channel ${config.channelId}:`, error.message);
+        }
+    }
+};
+
+// Scheduled AI posts. Each schedule posts the answer to a prompt whenever its cron
+// expression matches, and is saved so it is re-armed after a restart.
+const aiScheduleStore = loadStore('ai-schedules', {}); // scheduleId -> schedule
+const scheduleTimers = new Map(); // scheduleId -> timeout
+const runningSchedules = new Set(); // scheduleIds waiting in a channel queue or answering
+const MAX_SCHEDULES_PER_GUILD = 25;
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout can't wait longer (about 24 days)
+const SCHEDULE_OPTION_FIELDS = [
+    'provider', 'model', 'jsonMode', 'systemPrompt', 'persona', 'longReplyMode',
+    'streamReplies', 'blockedWords', 'blockedPatterns', 'maxReplyLength'
+];
+
+// Cron expressions have five fields, evaluated in UTC: minute, hour, day of month, month
+// and day of week. Each field is *, a number, a range (1-5), a list (1,15), or a step
+// (*/10, 0-30/5); months and weekdays also take names (jan, mon). The @hourly, @daily,
+// @weekly, @monthly and @yearly shortcuts work too. As in cron, when both day fields
+// are restricted a day matching either one counts.
+const CRON_FIELDS = [
+    { key: 'minutes', name: 'minute', min: 0, max: 59 },
+    { key: 'hours', name: 'hour', min: 0, max: 23 },
+    { key: 'days', name: 'day of month', min: 1, max: 31 },
+    { key: 'months', name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { key: 'weekdays', name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+const CRON_SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// Parse a cron expression into the values each field allows. Returns { cron } or { error }.
+const parseCron = (expression) => {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        return { error: 'cron must be a non-empty string' };
+    }
+    
+    const normalized = CRON_SHORTCUTS[expression.trim().toLowerCase()] || expression.trim().toLowerCase();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== 5) {
+        return { error: 'cron must have five fields: minute hour day-of-month month day-of-week' };
+    }
+    
+    const cron = {
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+    
+    for (const [index, field] of CRON_FIELDS.entries()) {
+        const toNumber = (token) => {
+            const named = field.names ? field.names.indexOf(token) : -1;
+            if (named !== -1) return named + field.min;
+            return /^\d+$/.test(token) ? Number(token) : NaN;
+        };
+        
+        const values = new Set();
+        for (const item of parts[index].split(',')) {
+            const match = item.match(/^(?:(\*)|([a-z0-9]+)(?:-([a-z0-9]+))?)(?:\/(\d+))?$/);
+            if (!match) {
+                return { error: `Invalid ${field.name} "${item}" in cron` };
+            }
+            
+            const start = match[1] ? field.min : toNumber(match[2]);
+            // "5/15" runs from 5 to the end of the range
+            const end = match[1] ? field.max : match[3] !== undefined ? toNumber(match[3]) : match[4] ? field.max : start;
+            const step = match[4] ? Number(match[4]) : 1;
+            
+            if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end || step < 1) {
+                return { error: `Invalid ${field.name} "${item}" in cron, values go from ${field.min} to ${field.max}` };
+            }
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+        cron[field.key] = values;
+    }
+    
+    // Both 0 and 7 mean Sunday
+    if (cron.weekdays.has(7)) cron.weekdays.add(0);
+    
+    return { cron };
+};
+
+const cronDayMatches = (cron, date) => {
+    const dayMatches = cron.days.has(date.getUTCDate());
+    const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+    return cron.anyDay || cron.anyWeekday ? dayMatches && weekdayMatches : dayMatches || weekdayMatches;
+};
+
+// The first time after `after` that a cron expression matches, or null if it never
+// does (say, February 30th). Skips whole months, days and hours that can't match.
+const nextCronRun = (cron, after = new Date()) => {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const giveUpAt = after.getTime() + 5 * 366 * DAY_MS;
+    
+    while (date.getTime() < giveUpAt) {
+        if (!cron.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    
+    return null;
+};
+
+// A schedule as the API shows it, without the bot token
+const serializeSchedule = ({ token, tokenHash, ...schedule }) => schedule;
+
+// Post a schedule's prompt once. Failures are kept on the schedule for GET /ai/schedules.
+const runSchedule = async (schedule) => {
+    // A frequent schedule on a slow provider must not pile up behind itself
+    if (runningSchedules.has(schedule.id)) {
+        console.error(`Scheduled AI post ${schedule.id} skipped: the previous run has not finished`);
+        return;
+    }
+    runningSchedules.add(schedule.id);
+    
+    try {
+        // Scheduled posts wait their turn in the channel's queue, like replies to messages
+        await enqueueChannelRequest(schedule.channelId, async () => {
+            const options = { ...DEFAULT_CONVERSATION_OPTIONS, ...schedule.options };
+            const quotaProblem = dailyQuotaProblem(schedule.guildId, schedule.channelId, options);
+            if (quotaProblem) {
+                throw new Error(quotaProblem);
+            }
+            
+            const client = await acquireClient(decryptSecret(schedule.token), AI_INTENTS);
+            
+            try {
+                const channel = await client.channels.fetch(schedule.channelId);
+                const moderation = channelModeration(schedule.channelId, options);
+                
+                // {date} lets a daily prompt ask for something new each day
+                const prompt = schedule.prompt.replace(/\{date\}/g, new Date().toISOString().slice(0, 10));
+                recordAiUsage(schedule.guildId, schedule.channelId);
+                
+                const { response, result, violation } = await deliverAiReply([
+                    { role: 'system', content: systemPromptFor(options) },
+                    { role: 'user', content: prompt }
+                ], options, channel, { moderation });
+                
+                if (violation) {
+                    logModerationBlock({ guildId: schedule.guildId, channelId: schedule.channelId, direction: 'output', rule: violation, text: response });
+                    throw new Error(`The AI response matched the blocked ${violation} and was not sent`);
+                }
+                if (result.failedChunks.length) {
+                    throw new Error(`${result.failedChunks.length} of ${result.chunks} message(s) could not be sent`);
+                }
+            } finally {
+                releaseClient(client);
+            }
+        });
+        
+        schedule.lastError = null;
+    } catch (error) {
+        console.error(`Scheduled AI post ${schedule.id} failed:`, error.message);
+        schedule.lastError = error.message;
+    } finally {
+        runningSchedules.delete(schedule.id);
+    }
+    
+    schedule.lastRunAt = new Date();
+    schedule.runCount++;
+    return saveStore('ai-schedules', aiScheduleStore);
+};
+
+// Set the timer for a schedule's next run, replacing any earlier one. The next run is
+// armed before this one starts, so a slow answer doesn't make it skip a beat.
+const armSchedule = (schedule) => {
+    clearTimeout(scheduleTimers.get(schedule.id));
+    scheduleTimers.delete(schedule.id);
+    
+    schedule.nextRunAt = schedule.paused ? null : nextCronRun(parseCron(schedule.cron).cron);
+    if (!schedule.nextRunAt) return;
+    
+    const delay = schedule.nextRunAt.getTime() - Date.now();
+    scheduleTimers.set(schedule.id, setTimeout(() => {
+        // Too far off for one timer, so this was only a stopover
+        if (delay > MAX_TIMER_DELAY) return armSchedule(schedule);
+        
+        armSchedule(schedule);
+        runSchedule(schedule);
+    }, Math.min(delay, MAX_TIMER_DELAY)));
+};
+
+// Stop a schedule's timer for good
+const disarmSchedule = (scheduleId) => {
+    clearTimeout(scheduleTimers.get(scheduleId));
+    scheduleTimers.delete(scheduleId);
+};
+
+// Arm every saved schedule after a restart. Runs missed while the server was down are skipped.
+const restoreAiSchedules = () => {
+    for (const schedule of Object.values(aiScheduleStore)) {
+        armSchedule(schedule);
+    }
+    console.log(`Restored ${Object.keys(aiScheduleStore).length} scheduled AI post(s)`);
+};
+
+// AI text generation endpoint with conversational bot
+app.post('/set-ai', validateHeaders, async (req, res) => {
+    try {
+        const { prompt, enableConversation = false, returnJson: rawReturnJson = false, schema = null, maxRetries = 2 } = req.body || {};
+        const { botToken, guildId } = req;
+        const channelId = req.headers['x-channel-id'];
+        
+        const returnJson = parseFlag(rawReturnJson);
+        if (returnJson === null) {
+            return res.status(400).json({
+                error: 'Invalid returnJson',
+                detail: 'returnJson must be true or false'
+            });
+        }
+        
+        // JSON mode answers the caller, so it doesn't need a channel
+        if (!channelId && !returnJson) {
+            return res.status(400).json({
+                error: 'Missing channel ID',
+                detail: 'Please provide x-channel-id header'
+            });
+        }
+        
+        if (returnJson) {
+            if (typeof prompt !== 'string' || !prompt.trim()) {
+                return res.status(400).json({
+                    error: 'Missing prompt',
+                    detail: 'returnJson needs a prompt'
+                });
+            }
+            
+            const schemaProblem = schema === null ? null : findSchemaProblem(schema);
+            if (schemaProblem || (schema && JSON.stringify(schema).length > 20000)) {
+                return res.status(400).json({
+                    error: 'Invalid schema',
+                    detail: schemaProblem || 'schema must be at most 20000 characters of JSON'
+                });
+            }
+            
+            if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > MAX_JSON_RETRIES) {
+                return res.status(400).json({
+                    error: 'Invalid maxRetries',
+                    detail: `maxRetries must be a whole number between 0 and ${MAX_JSON_RETRIES}`
+                });
+            }
+        }
+        
+        const { options, error: optionsError } = parseConversationOptions(req.body || {});
+        if (optionsError) {
+            return res.status(400).json({
+                error: 'Invalid AI options',
+                detail: optionsError
+            });
+        }
+        const { provider, model, jsonMode } = options;
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, AI_INTENTS);
+        
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            // JSON mode hands the parsed output back instead of posting it
+            if (returnJson) {
+                const usageChannelId = channelId || 'api';
+                const moderation = channelModeration(usageChannelId, options);
+                const promptViolation = findModerationViolation(prompt, moderation);
+                if (promptViolation) {
+                    logModerationBlock({ guildId, channelId: usageChannelId, direction: 'input', rule: promptViolation, text: prompt });
+                    return res.status(400).json({
+                        error: 'Prompt blocked',
+                        detail: `The prompt matches the blocked ${promptViolation}`
+                    });
+                }
+                
+                const quotaProblem = dailyQuotaProblem(guildId, usageChannelId, options);
+                if (quotaProblem) {
+                    recordAiUsage(guildId, usageChannelId, 'limited');
+                    return res.status(429).json({
+                        error: 'AI quota reached',
+                        detail: quotaProblem
+                    });
+                }
+                recordAiUsage(guildId, usageChannelId);
+                
+                const { data, output, errors, attempts } = await generateJsonOutput(prompt, options, schema, maxRetries);
+                
+                const outputViolation = findModerationViolation(output, moderation);
+                if (outputViolation) {
+                    logModerationBlock({ guildId, channelId: usageChannelId, direction: 'output', rule: outputViolation, text: output });
+                    return res.status(422).json({
+                        error: 'AI response blocked',
+                        detail: `The AI response matched the blocked ${outputViolation}`
+                    });
+                }
+                
+                if (errors) {
+                    return res.status(422).json({
+                        error: 'Invalid AI output',
+                        detail: `The AI did not return ${schema ? 'JSON matching the schema' : 'valid JSON'} after ${attempts} attempt(s): ${errors.slice(0, 5).join('; ')}`,
+                        attempts: attempts,
+                        errors: errors,
+                        lastOutput: output
+                    });
+                }
+                
+                return res.json({
+                    success: true,
+                    mode: 'json',
+                    provider: provider,
+                    model: model,
+                    attempts: attempts,
+                    data: data,
+                    detail: `AI returned ${schema ? 'JSON matching the schema' : 'valid JSON'} after ${attempts} attempt(s).`
+                });
+            }
+            
+            const channel = await guild.channels.fetch(channelId);
+            
+            if (!channel) {
+                return res.status(404).json({
+                    error: 'Channel not found',
+                    detail: 'The specified channel ID could not be found'
+                });
+            }
+            
+            // Check bot permissions
+            const botMember = await guild.members.fetch(client.user.id);
+            if (!channel.permissionsFor(botMember).has(PermissionsBitField.Flags.SendMessages)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: 'Bot lacks SEND_MESSAGES permission in this channel'
+                });
+            }
+            
+            // If conversation mode is enabled, set up the message listener
+            if (enableConversation) {
+                // Calling this again for an active channel updates its config in place
+                const config = { guildId, channelId, ...options };
+                const status = attachConversation(client, botToken, config);
+                await saveAiSession(botToken, config);
+                
+                const commands = options.slashCommands ? await registerAiCommands(guild) : {};
+                
+                res.json({
+                    success: true,
+                    mode: 'conversation',
+                    status: status,
+                    ...options,
+                    ...commands,
+                    channelId: channelId,
+                    botId: client.user.id,
+                    activeChannels: aiRouters.get(botToken).channels.size,
+                    detail: status === 'updated'
+                        ? `Conversational AI bot settings were updated for channel ${channelId}.`
+                        : `Conversational AI bot is now active in channel ${channelId}. Trigger mode: ${options.triggerMode}.`
+                });
+                
+            } else if (prompt) {
+                const moderation = channelModeration(channelId, options);
+                const promptViolation = findModerationViolation(prompt, moderation);
+                if (promptViolation) {
+                    logModerationBlock({ guildId, channelId, direction: 'input', rule: promptViolation, text: prompt });
+                    return res.status(400).json({
+                        error: 'Prompt blocked',
+                        detail: `The prompt matches the blocked ${promptViolation}`
+                    });
+                }
+                
+                // Single prompts count toward the same quotas as the channel's conversation
+                const quotaProblem = dailyQuotaProblem(guildId, channelId, options);
+                if (quotaProblem) {
+                    recordAiUsage(guildId, channelId, 'limited');
+                    return res.status(429).json({
+                        error: 'AI quota reached',
+                        detail: quotaProblem
+                    });
+                }
+                recordAiUsage(guildId, channelId);
+                
+                // Single prompt mode - process and hand the client back to the pool
+                const { response: aiResponse, reply, result, violation } = await deliverAiReply([
+                    { role: 'user', content: prompt }
+                ], options, channel, { moderation });
+                
+                if (violation) {
+                    logModerationBlock({ guildId, channelId, direction: 'output', rule: violation, text: aiResponse });
+                    return res.status(422).json({
+                        error: 'AI response blocked',
+                        detail: `The AI response matched the blocked ${violation} and was not sent`
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    mode: 'single_prompt',
+                    prompt: prompt,
+                    provider: provider,
+                    model: model,
+                    jsonMode: jsonMode,
+                    streamed: options.streamReplies,
+                    responseLength: reply.length,
+                    truncated: reply.length < aiResponse.length,
+                    chunksCount: result.chunks,
+                    channelId: channelId,
+                    sentMessages: result.sentMessages,
+                    failedChunks: result.failedChunks,
+                    detail: `AI response generated and sent to channel. Response was ${reply.length} characters long, split into ${result.chunks} message(s)` +
+                        (result.failedChunks.length ? `, ${result.failedChunks.length} of which could not be sent.` : '.')
+                });
+                
+            } else {
+                return res.status(400).json({
+                    error: 'Missing prompt or conversation mode',
+                    detail: 'Please provide a prompt for single response, or set enableConversation to true for conversation mode'
+                });
+            }
+        } finally {
+            releaseClient(client);
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
         });
     }
-    
-    req.botToken = botToken;
-    req.guildId = guildId;
-    next();
-};
-
-// Health check endpoint
-app.get('/', (req, res) => {
-    res.json({ 
-        status: 'Discord Bot API Server is running',
-        endpoints: [
-            'POST /addroleall - Add role to all guild members',
-            'POST /roleremoveall - Remove role from all guild members',
-            'POST /unbanall - Unban all users from the server',
-            'GET /banlist - Get list of banned users from the server',
-            'GET /guild/membercount - Get member count statistics for the server',
-            'POST /set-ai - Generate AI text using Pollinations API',
-            'POST /reset-ai - Reset AI conversational bot for a channel'
-        ]
-    });
 });
 
-// Add role to all members endpoint
-app.post('/addroleall', validateHeaders, async (req, res) => {
+// Reset AI endpoint - stops conversational bots
+app.post('/reset-ai', validateHeaders, async (req, res) => {
     try {
-        const { roleId } = req.body;
         const { botToken, guildId } = req;
+        const channelId = req.headers['x-channel-id'];
+        const { memoryOnly: rawMemoryOnly = false, userId = null } = req.body || {};
         
-        if (!roleId) {
+        if (!channelId) {
             return res.status(400).json({
-                error: 'Missing roleId in request body',
-                detail: 'Please provide a roleId to add to all users'
+                error: 'Missing channel ID',
+                detail: 'Please provide x-channel-id header'
+            });
+        }
+        
+        const memoryOnly = parseFlag(rawMemoryOnly);
+        if (memoryOnly === null) {
+            return res.status(400).json({
+                error: 'Invalid memoryOnly',
+                detail: 'memoryOnly must be true or false'
             });
         }
         
-        // Create temporary client for this request
-        const tempClient = new Client({
-            intents: [
-                GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMembers
-            ]
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMessages
+        ]);
+        
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            const channel = await guild.channels.fetch(channelId);
+            
+            if (!channel) {
+                return res.status(404).json({
+                    error: 'Channel not found',
+                    detail: 'The specified channel ID could not be found'
+                });
+            }
+            
+            // Wipe what the bot remembers of the channel but leave the conversation running
+            if (memoryOnly) {
+                const cleared = await clearChannelMemory(channelId, userId);
+                return res.json({
+                    success: true,
+                    channelId: channelId,
+                    status: 'memory_cleared',
+                    clearedConversations: cleared,
+                    active: activeClients.has(channelId),
+                    detail: `Cleared ${cleared} stored conversation(s)${userId ? ` of user ${userId}` : ''} in channel ${channelId}. The AI bot was not stopped.`
+                });
+            }
+            
+            // Stop the live conversation and forget the saved one so it isn't restored
+            const wasSaved = Boolean(aiSessionStore[channelId]);
+            const stoppedConfig = activeClients.get(channelId)?.config;
+            let stopped = false;
+            let cleanupError = null;
+            try {
+                stopped = detachConversation(channelId);
+            } catch (error) {
+                stopped = true;
+                cleanupError = error;
+            }
+            await removeAiSession(channelId);
+            await clearChannelMemory(channelId);
+            if (stoppedConfig && stoppedConfig.slashCommands) {
+                await releaseAiCommands(client, botToken, guildId);
+            }
+            
+            if (cleanupError) {
+                res.json({
+                    success: true,
+                    channelId: channelId,
+                    status: 'force_stopped',
+                    detail: `AI bot conversation mode has been forcefully stopped for channel ${channelId}. There may have been an error during cleanup: ${cleanupError.message}`
+                });
+            } else if (stopped || wasSaved) {
+                res.json({
+                    success: true,
+                    channelId: channelId,
+                    status: 'stopped',
+                    detail: `AI bot conversation mode has been stopped and removed for channel ${channelId}.`
+                });
+            } else {
+                res.json({
+                    success: true,
+                    channelId: channelId,
+                    status: 'not_active',
+                    detail: `No active AI bot found for channel ${channelId}. Channel was already inactive.`
+                });
+            }
+        } finally {
+            releaseClient(client);
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// List AI conversation sessions for a guild
+app.get('/ai/sessions', validateHeaders, (req, res) => {
+    const { botToken, guildId } = req;
+    const tokenHash = hashToken(botToken);
+    
+    const sessions = Object.values(aiSessionStore)
+        .filter(session => session.guildId === guildId && session.tokenHash === tokenHash)
+        .map(session => {
+            const activeClient = activeClients.get(session.channelId);
+            const restoreError = aiSessionErrors.get(session.channelId);
+            
+            let status = 'inactive';
+            if (activeClient) {
+                status = activeClient.client.isReady() ? 'active' : 'reconnecting';
+            } else if (restoreError) {
+                status = 'failed';
+            }
+            
+            const { token, tokenHash, guildId: sessionGuildId, ...config } = session;
+            return {
+                ...DEFAULT_CONVERSATION_OPTIONS,
+                ...config,
+                status: status,
+                error: restoreError || null,
+                createdAt: session.createdAt,
+                startedAt: activeClient ? activeClient.startedAt : null
+            };
         });
+    
+    res.json({
+        success: true,
+        guildId: guildId,
+        totalSessions: sessions.length,
+        sessions: sessions,
+        detail: `Found ${sessions.length} AI conversation session(s) for this server`
+    });
+});
+
+// List configured AI providers and their models
+app.get('/ai/models', validateHeaders, async (req, res) => {
+    try {
+        const providers = await Promise.all(Object.entries(AI_PROVIDERS).map(async ([name, providerConfig]) => {
+            const liveModels = await listProviderModels(providerConfig);
+            return {
+                name: name,
+                type: providerConfig.type,
+                defaultModel: providerConfig.defaultModel || null,
+                models: liveModels || providerConfig.models || [],
+                reachable: liveModels !== null
+            };
+        }));
         
-        await tempClient.login(botToken);
+        res.json({
+            success: true,
+            defaultProvider: DEFAULT_CONVERSATION_OPTIONS.provider,
+            providers: providers,
+            detail: `${providers.length} AI provider(s) configured`
+        });
         
-        // Wait for client to be ready
-        await new Promise((resolve) => {
-            tempClient.once('ready', resolve);
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
         });
+    }
+});
+
+// AI usage per channel for a guild, over the last few days
+app.get('/ai/usage', validateHeaders, async (req, res) => {
+    try {
+        const { botToken, guildId } = req;
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 1, 1), AI_USAGE_RETENTION_DAYS);
         
-        const guild = await tempClient.guilds.fetch(guildId);
+        // Only a bot that is actually in the guild may read its usage
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds
+        ]);
+        const inGuild = client.guilds.cache.has(guildId);
+        releaseClient(client);
         
-        if (!guild) {
-            await tempClient.destroy();
+        if (!inGuild) {
             return res.status(404).json({
                 error: 'Guild not found',
                 detail: 'The specified guild ID could not be found'
             });
         }
         
-        // Check bot permissions
-        const botMember = await guild.members.fetch(tempClient.user.id);
-        if (!botMember.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
-            await tempClient.destroy();
-            return res.status(403).json({
-                error: 'Insufficient permissions',
-                detail: 'Bot lacks MANAGE_ROLES permission'
-            });
-        }
-        
-        // Get the role
-        const role = await guild.roles.fetch(roleId);
-        if (!role) {
-            await tempClient.destroy();
-            return res.status(404).json({
-                error: 'Role not found',
-                detail: `Role with ID ${roleId} not found in the guild`
+        const history = [];
+        for (let i = 0; i < days; i++) {
+            const day = usageDay(new Date(Date.now() - i * DAY_MS));
+            const guildUsage = aiUsageStore[day]?.[guildId] || { requests: 0, limited: 0, channels: {} };
+            history.push({
+                date: day,
+                requests: guildUsage.requests,
+                limited: guildUsage.limited,
+                channels: Object.entries(guildUsage.channels).map(([channelId, channelUsage]) => ({
+                    channelId: channelId,
+                    ...channelUsage
+                }))
             });
         }
         
-        // Check if bot can manage this role
-        if (role.position >= botMember.roles.highest.position) {
-            await tempClient.destroy();
-            return res.status(403).json({
-                error: 'Cannot manage role',
-                detail: 'Bot role position is not high enough to manage this role'
+        // Quotas of this bot's active conversations in the guild, with what is left of them today
+        const quotas = [...activeClients.entries()]
+            .filter(([, activeClient]) => activeClient.guildId === guildId && activeClient.botToken === botToken)
+            .map(([channelId, { config }]) => {
+                const usage = todaysUsage(guildId, channelId);
+                return {
+                    channelId: channelId,
+                    userCooldownSeconds: config.userCooldownSeconds,
+                    channelDailyLimit: config.channelDailyLimit,
+                    channelRemaining: config.channelDailyLimit ? Math.max(config.channelDailyLimit - usage.channel, 0) : null,
+                    guildDailyLimit: config.guildDailyLimit,
+                    guildRemaining: config.guildDailyLimit ? Math.max(config.guildDailyLimit - usage.guild, 0) : null,
+                    queued: aiChannelQueues.get(channelId)?.pending || 0
+                };
             });
-        }
         
-        // Fetch all members
-        const members = await guild.members.fetch();
+        res.json({
+            success: true,
+            guildId: guildId,
+            today: history[0],
+            days: history,
+            quotas: quotas,
+            detail: `${history[0].requests} AI request(s) today, ${history[0].limited} rate limited`
+        });
         
-        let successCount = 0;
-        let skipCount = 0;
-        let errorCount = 0;
-        const errors = [];
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Show what the AI bot remembers of a channel and its threads
+app.get('/ai/memory/:channelId', validateHeaders, (req, res) => {
+    const { botToken, guildId } = req;
+    const { channelId } = req.params;
+    const { userId } = req.query;
+    const tokenHash = hashToken(botToken);
+    
+    const conversations = channelMemoryEntries(channelId)
+        .filter(([, channelMemory]) => channelMemory.guildId === guildId)
+        .filter(([, channelMemory]) => !channelMemory.tokenHash || channelMemory.tokenHash === tokenHash)
+        .flatMap(([id, channelMemory]) => Object.entries(channelMemory.conversations)
+            .filter(([key]) => !userId || key === userId)
+            .map(([key, memory]) => ({
+                channelId: id,
+                threadOf: channelMemory.parentId,
+                userId: key === SHARED_MEMORY_KEY ? null : key,
+                shared: key === SHARED_MEMORY_KEY,
+                summary: memory.summary,
+                summarizedTurns: memory.summarizedTurns,
+                turnCount: memory.turns.length,
+                turns: memory.turns.map(({ role, content, name, at }) => ({ role, content, name, at: new Date(at) })),
+                updatedAt: memory.updatedAt
+            })));
+    
+    res.json({
+        success: true,
+        channelId: channelId,
+        totalConversations: conversations.length,
+        conversations: conversations,
+        detail: `Found ${conversations.length} stored conversation(s) for channel ${channelId}`
+    });
+});
+
+// Clear what the AI bot remembers of a channel, or of one user in it
+app.delete('/ai/memory/:channelId', validateHeaders, async (req, res) => {
+    try {
+        const { botToken, guildId } = req;
+        const { channelId } = req.params;
+        const userId = req.query.userId || null;
+        const tokenHash = hashToken(botToken);
         
-        for (const [memberId, member] of members) {
-            try {
-                // Check if member already has the role
-                if (member.roles.cache.has(roleId)) {
-                    skipCount++;
-                    continue;
-                }
-                
-                // Add role to member (including bots)
-                await member.roles.add(role);
-                successCount++;
-                
-                // Add small delay to avoid rate limits
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-            } catch (error) {
-                errorCount++;
-                errors.push(`Failed to add role to ${member.user.username}: ${error.message}`);
-            }
+        const entries = channelMemoryEntries(channelId);
+        if (entries.some(([, channelMemory]) => channelMemory.guildId !== guildId ||
+            (channelMemory.tokenHash && channelMemory.tokenHash !== tokenHash))) {
+            return res.status(403).json({
+                error: 'Channel not allowed',
+                detail: 'This channel\'s memory belongs to another server or bot'
+            });
         }
         
-        await tempClient.destroy();
+        const cleared = await clearChannelMemory(channelId, userId);
         
         res.json({
             success: true,
-            roleId: roleId,
-            roleName: role.name,
-            totalMembers: members.size,
-            successCount: successCount,
-            skipCount: skipCount,
-            errorCount: errorCount,
-            errors: errors.slice(0, 10), // Limit errors shown
-            detail: `Added role "${role.name}" to ${successCount} users (including bots). Skipped ${skipCount} users (already had role). ${errorCount} errors occurred.`
+            channelId: channelId,
+            clearedConversations: cleared,
+            detail: `Cleared ${cleared} stored conversation(s)${userId ? ` of user ${userId}` : ''} in channel ${channelId}`
         });
         
     } catch (error) {
@@ -170,114 +5131,183 @@ app.post('/addroleall', validateHeaders, async (req, res) => {
     }
 });
 
-// Remove role from all members endpoint
-app.post('/roleremoveall', validateHeaders, async (req, res) => {
+// Create a scheduled AI post for a channel
+app.post('/ai/schedules', validateHeaders, async (req, res) => {
     try {
-        const { roleId } = req.body;
         const { botToken, guildId } = req;
+        const channelId = req.headers['x-channel-id'];
+        const { cron: expression, prompt, name = null, paused: rawPaused = false } = req.body || {};
         
-        if (!roleId) {
+        if (!channelId) {
             return res.status(400).json({
-                error: 'Missing roleId in request body',
-                detail: 'Please provide a roleId to remove from all users'
+                error: 'Missing channel ID',
+                detail: 'Please provide x-channel-id header'
             });
         }
         
-        // Create temporary client for this request
-        const tempClient = new Client({
-            intents: [
-                GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMembers
-            ]
-        });
-        
-        await tempClient.login(botToken);
-        
-        // Wait for client to be ready
-        await new Promise((resolve) => {
-            tempClient.once('ready', resolve);
-        });
-        
-        const guild = await tempClient.guilds.fetch(guildId);
+        if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > 2000) {
+            return res.status(400).json({
+                error: 'Invalid prompt',
+                detail: 'prompt must be a non-empty string of at most 2000 characters'
+            });
+        }
         
-        if (!guild) {
-            await tempClient.destroy();
-            return res.status(404).json({
-                error: 'Guild not found',
-                detail: 'The specified guild ID could not be found'
+        if (name !== null && (typeof name !== 'string' || name.length > 100)) {
+            return res.status(400).json({
+                error: 'Invalid name',
+                detail: 'name must be a string of at most 100 characters'
             });
         }
         
-        // Check bot permissions
-        const botMember = await guild.members.fetch(tempClient.user.id);
-        if (!botMember.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
-            await tempClient.destroy();
-            return res.status(403).json({
-                error: 'Insufficient permissions',
-                detail: 'Bot lacks MANAGE_ROLES permission'
+        const paused = parseFlag(rawPaused);
+        if (paused === null) {
+            return res.status(400).json({
+                error: 'Invalid paused',
+                detail: 'paused must be true or false'
             });
         }
         
-        // Get the role
-        const role = await guild.roles.fetch(roleId);
-        if (!role) {
-            await tempClient.destroy();
-            return res.status(404).json({
-                error: 'Role not found',
-                detail: `Role with ID ${roleId} not found in the guild`
+        const { cron, error: cronError } = parseCron(expression);
+        if (cronError) {
+            return res.status(400).json({
+                error: 'Invalid cron expression',
+                detail: cronError
+            });
+        }
+        if (!nextCronRun(cron)) {
+            return res.status(400).json({
+                error: 'Invalid cron expression',
+                detail: `"${expression}" never matches a real date`
             });
         }
         
-        // Check if bot can manage this role
-        if (role.position >= botMember.roles.highest.position) {
-            await tempClient.destroy();
-            return res.status(403).json({
-                error: 'Cannot manage role',
-                detail: 'Bot role position is not high enough to manage this role'
+        const { options, error: optionsError } = parseConversationOptions(req.body);
+        if (optionsError) {
+            return res.status(400).json({
+                error: 'Invalid AI options',
+                detail: optionsError
             });
         }
         
-        // Fetch all members
-        const members = await guild.members.fetch();
+        const guildSchedules = Object.values(aiScheduleStore).filter(schedule => schedule.guildId === guildId);
+        if (guildSchedules.length >= MAX_SCHEDULES_PER_GUILD) {
+            return res.status(400).json({
+                error: 'Too many schedules',
+                detail: `A server can have at most ${MAX_SCHEDULES_PER_GUILD} scheduled AI posts`
+            });
+        }
         
-        let successCount = 0;
-        let skipCount = 0;
-        let errorCount = 0;
-        const errors = [];
+        // Borrow a warm client from the pool to check the channel
+        const client = await acquireClient(botToken, AI_INTENTS);
         
-        for (const [memberId, member] of members) {
-            try {
-                // Check if member doesn't have the role
-                if (!member.roles.cache.has(roleId)) {
-                    skipCount++;
-                    continue;
-                }
-                
-                // Remove role from member (including bots)
-                await member.roles.remove(role);
-                successCount++;
-                
-                // Add small delay to avoid rate limits
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-            } catch (error) {
-                errorCount++;
-                errors.push(`Failed to remove role from ${member.user.username}: ${error.message}`);
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            const channel = await guild.channels.fetch(channelId);
+            
+            if (!channel) {
+                return res.status(404).json({
+                    error: 'Channel not found',
+                    detail: 'The specified channel ID could not be found'
+                });
             }
+            
+            const botMember = await guild.members.fetch(client.user.id);
+            if (!channel.permissionsFor(botMember).has(PermissionsBitField.Flags.SendMessages)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: 'Bot lacks SEND_MESSAGES permission in this channel'
+                });
+            }
+        } finally {
+            releaseClient(client);
         }
         
-        await tempClient.destroy();
+        const schedule = {
+            id: crypto.randomUUID(),
+            name: name,
+            guildId: guildId,
+            channelId: channelId,
+            cron: expression.trim(),
+            prompt: prompt,
+            options: Object.fromEntries(SCHEDULE_OPTION_FIELDS.map(field => [field, options[field]])),
+            paused: paused,
+            token: encryptSecret(botToken),
+            tokenHash: hashToken(botToken),
+            createdAt: new Date(),
+            lastRunAt: null,
+            lastError: null,
+            runCount: 0,
+            nextRunAt: null
+        };
+        
+        aiScheduleStore[schedule.id] = schedule;
+        armSchedule(schedule);
+        await saveStore('ai-schedules', aiScheduleStore);
+        
+        res.json({
+            success: true,
+            schedule: serializeSchedule(schedule),
+            detail: schedule.paused
+                ? `Scheduled AI post created for channel ${channelId}, paused.`
+                : `Scheduled AI post created for channel ${channelId}. Next run: ${schedule.nextRunAt.toISOString()}.`
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// List the scheduled AI posts of a guild
+app.get('/ai/schedules', validateHeaders, (req, res) => {
+    const { botToken, guildId } = req;
+    const tokenHash = hashToken(botToken);
+    
+    const schedules = Object.values(aiScheduleStore)
+        .filter(schedule => schedule.guildId === guildId && schedule.tokenHash === tokenHash)
+        .filter(schedule => !req.query.channelId || schedule.channelId === req.query.channelId)
+        .map(serializeSchedule);
+    
+    res.json({
+        success: true,
+        guildId: guildId,
+        totalSchedules: schedules.length,
+        schedules: schedules,
+        detail: `Found ${schedules.length} scheduled AI post(s) for this server`
+    });
+});
+
+// Find a schedule owned by the calling bot and guild, or answer 404
+const findOwnSchedule = (req, res) => {
+    const schedule = aiScheduleStore[req.params.scheduleId];
+    if (!schedule || schedule.guildId !== req.guildId || schedule.tokenHash !== hashToken(req.botToken)) {
+        res.status(404).json({
+            error: 'Schedule not found',
+            detail: `No scheduled AI post with ID ${req.params.scheduleId} for this server`
+        });
+        return null;
+    }
+    return schedule;
+};
+
+// Pause or resume a scheduled AI post
+const setSchedulePaused = (paused) => async (req, res) => {
+    try {
+        const schedule = findOwnSchedule(req, res);
+        if (!schedule) return;
+        
+        schedule.paused = paused;
+        armSchedule(schedule);
+        await saveStore('ai-schedules', aiScheduleStore);
         
         res.json({
             success: true,
-            roleId: roleId,
-            roleName: role.name,
-            totalMembers: members.size,
-            successCount: successCount,
-            skipCount: skipCount,
-            errorCount: errorCount,
-            errors: errors.slice(0, 10), // Limit errors shown
-            detail: `Removed role "${role.name}" from ${successCount} users (including bots). Skipped ${skipCount} users (didn't have role). ${errorCount} errors occurred.`
+            schedule: serializeSchedule(schedule),
+            detail: paused
+                ? `Scheduled AI post ${schedule.id} is paused.`
+                : `Scheduled AI post ${schedule.id} resumed. Next run: ${schedule.nextRunAt.toISOString()}.`
         });
         
     } catch (error) {
@@ -286,74 +5316,75 @@ app.post('/roleremoveall', validateHeaders, async (req, res) => {
             detail: error.message
         });
     }
-});
+};
 
-// Get banned users list endpoint
-app.get('/banlist', validateHeaders, async (req, res) => {
+app.post('/ai/schedules/:scheduleId/pause', validateHeaders, setSchedulePaused(true));
+app.post('/ai/schedules/:scheduleId/resume', validateHeaders, setSchedulePaused(false));
+
+// Delete a scheduled AI post
+app.delete('/ai/schedules/:scheduleId', validateHeaders, async (req, res) => {
     try {
-        const { botToken, guildId } = req;
+        const schedule = findOwnSchedule(req, res);
+        if (!schedule) return;
         
-        // Create temporary client for this request
-        const tempClient = new Client({
-            intents: [
-                GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildBans
-            ]
-        });
-        
-        await tempClient.login(botToken);
+        disarmSchedule(schedule.id);
+        delete aiScheduleStore[schedule.id];
+        await saveStore('ai-schedules', aiScheduleStore);
         
-        // Wait for client to be ready
-        await new Promise((resolve) => {
-            tempClient.once('ready', resolve);
+        res.json({
+            success: true,
+            scheduleId: schedule.id,
+            detail: `Scheduled AI post ${schedule.id} was deleted.`
         });
         
-        const guild = await tempClient.guilds.fetch(guildId);
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
+        });
+    }
+});
+
+// Update the settings of an active AI conversation without restarting it
+app.patch('/ai/sessions/:channelId', validateHeaders, async (req, res) => {
+    try {
+        const { botToken, guildId } = req;
+        const { channelId } = req.params;
+        const activeClient = activeClients.get(channelId);
         
-        if (!guild) {
-            await tempClient.destroy();
+        if (!activeClient || activeClient.guildId !== guildId || activeClient.botToken !== botToken) {
             return res.status(404).json({
-                error: 'Guild not found',
-                detail: 'The specified guild ID could not be found'
+                error: 'AI session not found',
+                detail: `No active AI conversation in channel ${channelId} for this server`
             });
         }
         
-        // Check bot permissions
-        const botMember = await guild.members.fetch(tempClient.user.id);
-        if (!botMember.permissions.has(PermissionsBitField.Flags.BanMembers)) {
-            await tempClient.destroy();
-            return res.status(403).json({
-                error: 'Insufficient permissions',
-                detail: 'Bot lacks BAN_MEMBERS permission'
+        const { options, error: optionsError } = parseConversationOptions(req.body || {}, activeClient.config);
+        if (optionsError) {
+            return res.status(400).json({
+                error: 'Invalid AI options',
+                detail: optionsError
             });
         }
         
-        // Fetch all bans
-        const bans = await guild.bans.fetch();
-        
-        const bannedUsers = [];
+        const config = { ...activeClient.config, ...options };
+        attachConversation(activeClient.client, botToken, config);
+        await saveAiSession(botToken, config);
         
-        for (const [userId, ban] of bans) {
-            bannedUsers.push({
-                id: userId,
-                username: ban.user.username,
-                discriminator: ban.user.discriminator,
-                tag: ban.user.tag,
-                avatar: ban.user.displayAvatarURL(),
-                reason: ban.reason || 'No reason provided',
-                bannedAt: ban.user.createdAt
-            });
+        let commands = {};
+        if (config.slashCommands && !activeClient.config.slashCommands) {
+            commands = await registerAiCommands(await activeClient.client.guilds.fetch(guildId));
+        } else if (!config.slashCommands && activeClient.config.slashCommands) {
+            await releaseAiCommands(activeClient.client, botToken, guildId);
         }
         
-        await tempClient.destroy();
-        
         res.json({
             success: true,
-            guildId: guildId,
-            guildName: guild.name,
-            totalBans: bans.size,
-            bannedUsers: bannedUsers,
-            detail: `Retrieved ${bans.size} banned users from server "${guild.name}"`
+            status: 'updated',
+            ...options,
+            ...commands,
+            channelId: channelId,
+            detail: `AI conversation settings updated for channel ${channelId}.`
         });
         
     } catch (error) {
@@ -364,64 +5395,174 @@ app.get('/banlist', validateHeaders, async (req, res) => {
     }
 });
 
-// Get guild member count endpoint
-app.get('/guild/membercount', validateHeaders, async (req, res) => {
-    try {
-        const { botToken, guildId } = req;
-        
-        // Create temporary client for this request
-        const tempClient = new Client({
-            intents: [
-                GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMembers
-            ]
+// List jobs for a guild
+app.get('/jobs', validateHeaders, (req, res) => {
+    const { botToken, guildId } = req;
+    
+    const guildJobs = [...jobs.values()]
+        .filter(job => job.guildId === guildId && job.botToken === botToken)
+        .map(serializeJob);
+    
+    res.json({
+        success: true,
+        guildId: guildId,
+        totalJobs: guildJobs.length,
+        jobs: guildJobs,
+        detail: `Found ${guildJobs.length} job(s) for this server`
+    });
+});
+
+// Job status endpoint
+app.get('/jobs/:jobId', validateHeaders, (req, res) => {
+    const { botToken, guildId } = req;
+    const job = jobs.get(req.params.jobId);
+    
+    // Jobs are only visible to the bot and guild that started them
+    if (!job || job.guildId !== guildId || job.botToken !== botToken) {
+        return res.status(404).json({
+            error: 'Job not found',
+            detail: `Job with ID ${req.params.jobId} not found for this server`
         });
-        
-        await tempClient.login(botToken);
-        
-        // Wait for client to be ready
-        await new Promise((resolve) => {
-            tempClient.once('ready', resolve);
+    }
+    
+    res.json({
+        success: true,
+        ...serializeJob(job)
+    });
+});
+
+// Cancel a running job
+app.post('/jobs/:jobId/cancel', validateHeaders, (req, res) => {
+    const { botToken, guildId } = req;
+    const job = jobs.get(req.params.jobId);
+    
+    if (!job || job.guildId !== guildId || job.botToken !== botToken) {
+        return res.status(404).json({
+            error: 'Job not found',
+            detail: `Job with ID ${req.params.jobId} not found for this server`
         });
+    }
+    
+    if (job.finishedAt) {
+        return res.status(409).json({
+            error: 'Job already finished',
+            detail: `Job ${job.id} has already finished with status "${job.status}"`
+        });
+    }
+    
+    // The worker checks this flag before each item and stops at the next one
+    job.cancelRequested = true;
+    
+    res.json({
+        success: true,
+        ...serializeJob(job),
+        status: 'cancelling',
+        detail: `Cancellation requested for job ${job.id}. It will stop after the current item.`
+    });
+});
+
+// Register a bot token and issue a scoped API key for it
+app.post('/apikeys', validateBotToken, async (req, res) => {
+    try {
+        const { guildIds, endpoints = ['read'], label = null } = req.body || {};
+        const { botToken } = req;
         
-        const guild = await tempClient.guilds.fetch(guildId);
-        
-        if (!guild) {
-            await tempClient.destroy();
-            return res.status(404).json({
-                error: 'Guild not found',
-                detail: 'The specified guild ID could not be found'
+        if (!Array.isArray(guildIds) || guildIds.length === 0 || guildIds.some(id => typeof id !== 'string' || !id)) {
+            return res.status(400).json({
+                error: 'Missing guildIds in request body',
+                detail: 'Please provide guildIds as a non-empty array of guild ID strings'
             });
         }
         
-        // Fetch all members to get accurate counts
-        const members = await guild.members.fetch();
+        if (!Array.isArray(endpoints) || endpoints.length === 0 || endpoints.some(scope => typeof scope !== 'string' || !scope)) {
+            return res.status(400).json({
+                error: 'Invalid endpoints',
+                detail: 'Please provide endpoints as a non-empty array such as ["read"], ["GET /banlist"] or ["POST /unbanall"]'
+            });
+        }
         
-        let userCount = 0;
-        let botCount = 0;
+        // Logging in proves the token is valid and tells us which guilds the bot is in
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds
+        ]);
         
-        members.forEach(member => {
-            if (member.user.bot) {
-                botCount++;
-            } else {
-                userCount++;
+        try {
+            const missingGuilds = guildIds.filter(id => !client.guilds.cache.has(id));
+            if (missingGuilds.length > 0) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: `The bot is not a member of: ${missingGuilds.join(', ')}`
+                });
             }
+            
+            const botId = client.user.id;
+            apiKeyStore.bots[botId] = {
+                token: encryptSecret(botToken),
+                username: client.user.username,
+                registeredAt: (apiKeyStore.bots[botId] && apiKeyStore.bots[botId].registeredAt) || new Date()
+            };
+            
+            const keyId = crypto.randomBytes(8).toString('hex');
+            const secret = crypto.randomBytes(24).toString('hex');
+            apiKeyStore.keys[keyId] = {
+                hash: hashApiKey(secret),
+                botId: botId,
+                guildIds: [...new Set(guildIds)],
+                endpoints: [...new Set(endpoints)],
+                label: label,
+                createdAt: new Date()
+            };
+            await saveStore('apikeys', apiKeyStore);
+            
+            res.json({
+                success: true,
+                apiKey: `bdfd_${keyId}_${secret}`,
+                keyId: keyId,
+                botId: botId,
+                guildIds: apiKeyStore.keys[keyId].guildIds,
+                endpoints: apiKeyStore.keys[keyId].endpoints,
+                label: label,
+                detail: `API key created for bot "${client.user.username}". Store it now - it cannot be shown again.`
+            });
+        } finally {
+            releaseClient(client);
+        }
+        
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error',
+            detail: error.message
         });
+    }
+});
+
+// List API keys issued for a bot token
+app.get('/apikeys', validateBotToken, async (req, res) => {
+    try {
+        const { botToken } = req;
         
-        const totalCount = userCount + botCount;
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds
+        ]);
+        const botId = client.user.id;
+        releaseClient(client);
         
-        await tempClient.destroy();
+        const keys = Object.entries(apiKeyStore.keys)
+            .filter(([keyId, record]) => record.botId === botId)
+            .map(([keyId, record]) => ({
+                keyId: keyId,
+                guildIds: record.guildIds,
+                endpoints: record.endpoints,
+                label: record.label,
+                createdAt: record.createdAt
+            }));
         
         res.json({
             success: true,
-            guildId: guildId,
-            guildName: guild.name,
-            count: {
-                users: userCount,
-                bots: botCount,
-                total: totalCount
-            },
-            detail: `Retrieved member count for server "${guild.name}": ${userCount} users, ${botCount} bots, ${totalCount} total`
+            botId: botId,
+            totalKeys: keys.length,
+            keys: keys,
+            detail: `Found ${keys.length} API key(s) for this bot`
         });
         
     } catch (error) {
@@ -432,95 +5573,34 @@ app.get('/guild/membercount', validateHeaders, async (req, res) => {
     }
 });
 
-// Unban all users endpoint
-app.post('/unbanall', validateHeaders, async (req, res) => {
+// Revoke an API key
+app.delete('/apikeys/:keyId', validateBotToken, async (req, res) => {
     try {
-        const { botToken, guildId } = req;
+        const { botToken } = req;
+        const { keyId } = req.params;
         
-        // Create temporary client for this request
-        const tempClient = new Client({
-            intents: [
-                GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildBans
-            ]
-        });
-        
-        await tempClient.login(botToken);
-        
-        // Wait for client to be ready
-        await new Promise((resolve) => {
-            tempClient.once('ready', resolve);
-        });
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds
+        ]);
+        const botId = client.user.id;
+        releaseClient(client);
         
-        const guild = await tempClient.guilds.fetch(guildId);
-        
-        if (!guild) {
-            await tempClient.destroy();
+        const record = apiKeyStore.keys[keyId];
+        if (!record || record.botId !== botId) {
             return res.status(404).json({
-                error: 'Guild not found',
-                detail: 'The specified guild ID could not be found'
-            });
-        }
-        
-        // Check bot permissions
-        const botMember = await guild.members.fetch(tempClient.user.id);
-        if (!botMember.permissions.has(PermissionsBitField.Flags.BanMembers)) {
-            await tempClient.destroy();
-            return res.status(403).json({
-                error: 'Insufficient permissions',
-                detail: 'Bot lacks BAN_MEMBERS permission'
-            });
-        }
-        
-        // Fetch all bans
-        const bans = await guild.bans.fetch();
-        
-        if (bans.size === 0) {
-            await tempClient.destroy();
-            return res.json({
-                success: true,
-                totalBans: 0,
-                successCount: 0,
-                errorCount: 0,
-                errors: [],
-                detail: 'No banned users found in this server'
+                error: 'API key not found',
+                detail: `API key ${keyId} not found for this bot`
             });
         }
         
-        let successCount = 0;
-        let errorCount = 0;
-        const errors = [];
-        const unbannedUsers = [];
-        
-        for (const [userId, ban] of bans) {
-            try {
-                await guild.members.unban(userId, 'Bulk unban via API');
-                successCount++;
-                unbannedUsers.push({
-                    id: userId,
-                    username: ban.user.username,
-                    tag: ban.user.tag
-                });
-                
-                // Add small delay to avoid rate limits
-                await new Promise(resolve => setTimeout(resolve, 500));
-                
-            } catch (error) {
-                errorCount++;
-                errors.push(`Failed to unban ${ban.user.username}: ${error.message}`);
-            }
-        }
-        
-        await tempClient.destroy();
+        delete apiKeyStore.keys[keyId];
+        await saveStore('apikeys', apiKeyStore);
         
         res.json({
             success: true,
-            totalBans: bans.size,
-            successCount: successCount,
-            errorCount: errorCount,
-            errors: errors.slice(0, 10), // Limit errors shown
-            unbannedUsers: unbannedUsers.slice(0, 20), // Limit users shown in response
-            detail: `Successfully unbanned ${successCount} out of ${bans.size} banned users. ${errorCount} errors occurred.`
+            keyId: keyId,
+            status: 'revoked',
+            detail: `API key ${keyId} has been revoked`
         });
         
     } catch (error) {
@@ -531,239 +5611,173 @@ app.post('/unbanall', validateHeaders, async (req, res) => {
     }
 });
 
-// AI text generation endpoint with conversational bot
-app.post('/set-ai', validateHeaders, async (req, res) => {
+// Undo a bulk operation - revert a role change or re-ban users with their original reasons
+app.post('/undo/:operationId', validateHeaders, async (req, res) => {
     try {
-        const { prompt, model = 'openai', jsonMode = false, enableConversation = false } = req.body;
         const { botToken, guildId } = req;
-        const channelId = req.headers['x-channel-id'];
-        
-        if (!channelId) {
-            return res.status(400).json({
-                error: 'Missing channel ID',
-                detail: 'Please provide x-channel-id header'
-            });
-        }
-        
-        // Create persistent client for conversation mode or temporary for single prompt
-        const clientOptions = {
-            intents: [
-                GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMessages,
-                GatewayIntentBits.MessageContent
-            ]
-        };
-        
-        const client = new Client(clientOptions);
+        const { operationId } = req.params;
+        const operation = operationStore[operationId];
         
-        await client.login(botToken);
-        
-        // Wait for client to be ready
-        await new Promise((resolve) => {
-            client.once('ready', resolve);
-        });
-        
-        const guild = await client.guilds.fetch(guildId);
-        
-        if (!guild) {
-            await client.destroy();
+        if (!operation || operation.guildId !== guildId) {
             return res.status(404).json({
-                error: 'Guild not found',
-                detail: 'The specified guild ID could not be found'
+                error: 'Operation not found',
+                detail: `No undoable operation with ID ${operationId} for this server`
             });
         }
         
-        const channel = await guild.channels.fetch(channelId);
-        
-        if (!channel) {
-            await client.destroy();
-            return res.status(404).json({
-                error: 'Channel not found',
-                detail: 'The specified channel ID could not be found'
+        if (operation.undoneAt) {
+            return res.status(409).json({
+                error: 'Operation already undone',
+                detail: `Operation ${operationId} was already undone at ${operation.undoneAt}`
             });
         }
         
-        // Check bot permissions
-        const botMember = await guild.members.fetch(client.user.id);
-        if (!channel.permissionsFor(botMember).has(PermissionsBitField.Flags.SendMessages)) {
-            await client.destroy();
-            return res.status(403).json({
-                error: 'Insufficient permissions',
-                detail: 'Bot lacks SEND_MESSAGES permission in this channel'
+        const runningUndo = operation.undoJobId && jobs.get(operation.undoJobId);
+        if (runningUndo && !runningUndo.finishedAt) {
+            return res.status(409).json({
+                error: 'Undo already running',
+                detail: `Operation ${operationId} is already being undone by job ${runningUndo.id}`
             });
         }
         
-        // Function to make AI request
-        const callPollinationsAPI = async (messages) => {
-            try {
-                // Convert conversation to a simple prompt format
-                let prompt = messages.map(msg => {
-                    if (msg.role === 'system') return `System: ${msg.content}`;
-                    if (msg.role === 'user') return `User: ${msg.content}`;
-                    if (msg.role === 'assistant') return `Assistant: ${msg.content}`;
-                    return msg.content;
-                }).join('\n');
-
-                const response = await axios.post('https://text.pollinations.ai/', {
-                    messages: [{ role: 'user', content: prompt }],
-                    model: model,
-                    jsonMode: jsonMode
-                }, {
-                    headers: {
-                        'Content-Type': 'application/json'
-                    }
+        const isBanOperation = operation.type === 'unbanall';
+        
+        // Borrow a warm client from the pool for this request
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds,
+            isBanOperation ? GatewayIntentBits.GuildBans : GatewayIntentBits.GuildMembers
+        ]);
+        let keepClient = false;
+        
+        try {
+            // Only the bot that made the change can undo it
+            if (client.user.id !== operation.botId) {
+                return res.status(404).json({
+                    error: 'Operation not found',
+                    detail: `No undoable operation with ID ${operationId} for this server`
                 });
-
-                return response.data;
-            } catch (error) {
-                console.log(`Pollinations API Error: ${error}`);
-                throw error;
             }
-        };
-        
-        // Function to send chunked messages to Discord
-        const sendChunkedMessage = async (content, targetChannel) => {
-            const chunks = [];
-            if (content.length > 2000) {
-                for (let i = 0; i < content.length; i += 2000) {
-                    chunks.push(content.substring(i, i + 2000));
-                }
-            } else {
-                chunks.push(content);
+            
+            const guild = await client.guilds.fetch(guildId);
+            
+            if (!guild) {
+                return res.status(404).json({
+                    error: 'Guild not found',
+                    detail: 'The specified guild ID could not be found'
+                });
+            }
+            
+            // Check bot permissions
+            const botMember = await guild.members.fetch(client.user.id);
+            const requiredPermission = isBanOperation
+                ? PermissionsBitField.Flags.BanMembers
+                : PermissionsBitField.Flags.ManageRoles;
+            if (!botMember.permissions.has(requiredPermission)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    detail: `Bot lacks ${isBanOperation ? 'BAN_MEMBERS' : 'MANAGE_ROLES'} permission`
+                });
             }
             
-            const sentMessages = [];
-            for (const chunk of chunks) {
-                try {
-                    const message = await targetChannel.send(chunk);
-                    sentMessages.push({
-                        id: message.id,
-                        content: chunk.substring(0, 100) + (chunk.length > 100 ? '...' : '')
+            let role = null;
+            if (!isBanOperation) {
+                role = await guild.roles.fetch(operation.roleId);
+                if (!role) {
+                    return res.status(404).json({
+                        error: 'Role not found',
+                        detail: `Role with ID ${operation.roleId} not found in the guild`
+                    });
+                }
+                
+                if (role.position >= botMember.roles.highest.position) {
+                    return res.status(403).json({
+                        error: 'Cannot manage role',
+                        detail: 'Bot role position is not high enough to manage this role'
                     });
-                    
-                    if (chunks.length > 1) {
-                        await new Promise(resolve => setTimeout(resolve, 1000));
-                    }
-                } catch (error) {
-                    console.error('Failed to send message chunk:', error);
                 }
             }
             
-            return { chunks: chunks.length, sentMessages };
-        };
-        
-        // If conversation mode is enabled, set up the message listener
-        if (enableConversation) {
-            // Store the client for this channel
-            activeClients.set(channelId, {
-                client: client,
-                guildId: guildId,
-                botToken: botToken
-            });
-            
-            // Add cleanup when client disconnects
-            client.on('disconnect', () => {
-                activeClients.delete(channelId);
-                console.log(`AI bot client disconnected for channel ${channelId}`);
-            });
+            const job = createJob('undo', { botToken, guildId, audit: req.audit, operationId, undoes: operation.type });
+            operation.undoJobId = job.id;
             
-            client.on('messageCreate', async (message) => {
-                if (message.author.bot) return;
-                if (message.channel.id !== channelId) return;
-                if (message.content.startsWith('!')) return;
-                
-                let conversationLog = [
-                    { role: 'system', content: 'You are a friendly chatbot.' }
-                ];
+            runJob(job, client, async () => {
+                job.total = operation.changes.length;
+                const bans = isBanOperation ? await fetchAllBans(guild) : null;
                 
-                try {
-                    await message.channel.sendTyping();
-                    let prevMessages = await message.channel.messages.fetch({ limit: 15 });
-                    prevMessages.reverse();
+                for (const change of operation.changes) {
+                    if (job.cancelRequested) break;
+                    const user = { id: change.userId, username: change.username };
                     
-                    prevMessages.forEach((msg) => {
-                        if (msg.content.startsWith('!')) return;
-                        if (msg.author.id !== client.user.id && msg.author.bot) return;
-                        
-                        if (msg.author.id === client.user.id) {
-                            conversationLog.push({
-                                role: 'assistant',
-                                content: msg.content,
-                                name: msg.author.username
-                                    .replace(/\s+/g, '_')
-                                    .replace(/[^\w\s]/gi, '')
+                    try {
+                        if (isBanOperation) {
+                            if (bans.has(change.userId)) {
+                                job.skipCount++;
+                                recordOutcome(job, user, 'skipped');
+                                continue;
+                            }
+                            
+                            // Re-ban with the reason the user was originally banned for
+                            await guild.members.ban(change.userId, {
+                                reason: change.reason || auditReason(job.audit, `Undo of operation ${operationId}`)
                             });
+                        } else {
+                            const member = await guild.members.fetch(change.userId);
+                            const hasRole = member.roles.cache.has(role.id);
+                            const reason = auditReason(job.audit, `Undo of operation ${operationId}`);
+                            
+                            // addroleall is undone by removing the role, roleremoveall by adding it back
+                            if (operation.type === 'addroleall' ? !hasRole : hasRole) {
+                                job.skipCount++;
+                                recordOutcome(job, user, 'skipped');
+                                continue;
+                            }
+                            
+                            if (operation.type === 'addroleall') {
+                                await member.roles.remove(role, reason);
+                            } else {
+                                await member.roles.add(role, reason);
+                            }
                         }
                         
-                        if (msg.author.id === message.author.id) {
-                            conversationLog.push({
-                                role: 'user',
-                                content: msg.content,
-                                name: message.author.username
-                                    .replace(/\s+/g, '_')
-                                    .replace(/[^\w\s]/gi, '')
-                            });
-                        }
-                    });
-                    
-                    const aiResponse = await callPollinationsAPI(conversationLog);
-                    await sendChunkedMessage(aiResponse, message.channel);
-                    
-                } catch (error) {
-                    console.error('Error in conversation handler:', error);
-                    try {
-                        await message.channel.send('Sorry, I encountered an error while processing your message.');
-                    } catch (sendError) {
-                        console.error('Failed to send error message:', sendError);
+                        job.successCount++;
+                        recordOutcome(job, user, 'success');
+                        
+                        // Add small delay to avoid rate limits
+                        await new Promise(resolve => setTimeout(resolve, isBanOperation ? 500 : 100));
+                        
+                    } catch (error) {
+                        job.errorCount++;
+                        job.errors.push(`Failed to revert ${change.username}: ${error.message}`);
+                        recordOutcome(job, user, 'error', error);
+                    } finally {
+                        job.processed++;
                     }
                 }
+                
+                // A cancelled undo can be run again; already reverted members are skipped
+                if (!job.cancelRequested) {
+                    operation.undoneAt = new Date();
+                }
+                await saveStore('operations', operationStore);
+                
+                job.result = { results: job.outcomes };
+                job.detail = `Reverted ${job.successCount} of ${operation.changes.length} changes from ${operation.type} operation ${operationId}. Skipped ${job.skipCount} (already reverted). ${job.errorCount} errors occurred.`;
             });
+            keepClient = true;
             
-            // Don't destroy client in conversation mode - keep it running
             res.json({
                 success: true,
-                mode: 'conversation',
-                model: model,
-                jsonMode: jsonMode,
-                channelId: channelId,
-                botId: client.user.id,
-                detail: `Conversational AI bot is now active in channel ${channelId}. Bot will respond to all non-command messages.`
+                jobId: job.id,
+                status: job.status,
+                operationId: operationId,
+                undoes: operation.type,
+                totalChanges: operation.changes.length,
+                detail: `Started undoing ${operation.type} operation ${operationId}. Check GET /jobs/${job.id} for progress.`
             });
-            
-        } else if (prompt) {
-            // Single prompt mode - process and destroy client
-            try {
-                const aiResponse = await callPollinationsAPI([
-                    { role: 'user', content: prompt }
-                ]);
-                
-                const result = await sendChunkedMessage(aiResponse, channel);
-                
-                await client.destroy();
-                
-                res.json({
-                    success: true,
-                    mode: 'single_prompt',
-                    prompt: prompt,
-                    model: model,
-                    jsonMode: jsonMode,
-                    responseLength: aiResponse.length,
-                    chunksCount: result.chunks,
-                    channelId: channelId,
-                    sentMessages: result.sentMessages,
-                    detail: `AI response generated and sent to channel. Response was ${aiResponse.length} characters long, split into ${result.chunks} message(s).`
-                });
-                
-            } catch (error) {
-                await client.destroy();
-                throw error;
+        } finally {
+            if (!keepClient) {
+                releaseClient(client);
             }
-        } else {
-            await client.destroy();
-            return res.status(400).json({
-                error: 'Missing prompt or conversation mode',
-                detail: 'Please provide a prompt for single response, or set enableConversation to true for conversation mode'
-            });
         }
         
     } catch (error) {
@@ -774,91 +5788,50 @@ app.post('/set-ai', validateHeaders, async (req, res) => {
     }
 });
 
-// Reset AI endpoint - stops conversational bots
-app.post('/reset-ai', validateHeaders, async (req, res) => {
+// Query the audit log for a guild
+app.get('/auditlog', validateHeaders, async (req, res) => {
     try {
         const { botToken, guildId } = req;
-        const channelId = req.headers['x-channel-id'];
+        const { endpoint, since, until } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
         
-        if (!channelId) {
+        const sinceDate = since ? new Date(since) : null;
+        const untilDate = until ? new Date(until) : null;
+        if ((sinceDate && Number.isNaN(sinceDate.getTime())) || (untilDate && Number.isNaN(untilDate.getTime()))) {
             return res.status(400).json({
-                error: 'Missing channel ID',
-                detail: 'Please provide x-channel-id header'
+                error: 'Invalid time range',
+                detail: 'since and until must be valid dates'
             });
         }
         
-        // Create temporary client to verify access
-        const tempClient = new Client({
-            intents: [
-                GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMessages
-            ]
-        });
-        
-        await tempClient.login(botToken);
-        
-        // Wait for client to be ready
-        await new Promise((resolve) => {
-            tempClient.once('ready', resolve);
-        });
-        
-        const guild = await tempClient.guilds.fetch(guildId);
+        // Only a bot that is actually in the guild may read its audit log
+        const client = await acquireClient(botToken, [
+            GatewayIntentBits.Guilds
+        ]);
+        const inGuild = client.guilds.cache.has(guildId);
+        releaseClient(client);
         
-        if (!guild) {
-            await tempClient.destroy();
+        if (!inGuild) {
             return res.status(404).json({
                 error: 'Guild not found',
                 detail: 'The specified guild ID could not be found'
             });
         }
         
-        const channel = await guild.channels.fetch(channelId);
-        
-        if (!channel) {
-            await tempClient.destroy();
-            return res.status(404).json({
-                error: 'Channel not found',
-                detail: 'The specified channel ID could not be found'
-            });
-        }
-        
-        await tempClient.destroy();
-        
-        // Check if there's an active client for this channel
-        const activeClient = activeClients.get(channelId);
+        const entries = (await readAuditEntries())
+            .filter(entry => entry.guildId === guildId)
+            .filter(entry => !endpoint || entry.endpoint === endpoint || entry.endpoint.endsWith(` ${endpoint}`))
+            .filter(entry => !sinceDate || new Date(entry.timestamp) >= sinceDate)
+            .filter(entry => !untilDate || new Date(entry.timestamp) <= untilDate)
+            .reverse();
         
-        if (activeClient) {
-            try {
-                // Properly destroy the active client
-                await activeClient.client.destroy();
-                // Remove from tracking
-                activeClients.delete(channelId);
-                
-                res.json({
-                    success: true,
-                    channelId: channelId,
-                    status: 'stopped',
-                    detail: `AI bot conversation mode has been stopped and removed for channel ${channelId}.`
-                });
-            } catch (error) {
-                // Even if destroy fails, remove from tracking
-                activeClients.delete(channelId);
-                
-                res.json({
-                    success: true,
-                    channelId: channelId,
-                    status: 'force_stopped',
-                    detail: `AI bot conversation mode has been forcefully stopped for channel ${channelId}. There may have been an error during cleanup: ${error.message}`
-                });
-            }
-        } else {
-            res.json({
-                success: true,
-                channelId: channelId,
-                status: 'not_active',
-                detail: `No active AI bot found for channel ${channelId}. Channel was already inactive.`
-            });
-        }
+        res.json({
+            success: true,
+            guildId: guildId,
+            totalEntries: entries.length,
+            entries: entries.slice(0, limit),
+            detail: `Found ${entries.length} audit entries, showing the newest ${Math.min(limit, entries.length)}`
+        });
         
     } catch (error) {
         res.status(500).json({
@@ -881,4 +5854,10 @@ app.use((err, req, res, next) => {
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`Discord bot API server running on port ${PORT}`);
     console.log(`Access it at: http://localhost:${PORT}`);
+    
+    // Bring back AI conversations that were active before the restart
+    restoreAiSessions().catch((error) => {
+        console.error('Failed to restore AI sessions:', error);
+    });
+    restoreAiSchedules();
 });